@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "DocumentText" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "documentId" INTEGER NOT NULL,
+    "status" TEXT NOT NULL,
+    "extractor" TEXT,
+    "content" TEXT,
+    "error" TEXT,
+    "extractedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "DocumentText_documentId_fkey" FOREIGN KEY ("documentId") REFERENCES "Document" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "DocumentPage" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "textId" INTEGER NOT NULL,
+    "page" INTEGER NOT NULL,
+    "start" INTEGER NOT NULL,
+    "end" INTEGER NOT NULL,
+    CONSTRAINT "DocumentPage_textId_fkey" FOREIGN KEY ("textId") REFERENCES "DocumentText" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DocumentText_documentId_key" ON "DocumentText"("documentId");
+
+-- CreateIndex
+CREATE INDEX "DocumentPage_textId_idx" ON "DocumentPage"("textId");
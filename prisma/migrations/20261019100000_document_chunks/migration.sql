@@ -0,0 +1,13 @@
+-- CreateTable
+CREATE TABLE "DocumentChunk" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "textId" INTEGER NOT NULL,
+    "index" INTEGER NOT NULL,
+    "start" INTEGER NOT NULL,
+    "end" INTEGER NOT NULL,
+    "content" TEXT NOT NULL,
+    CONSTRAINT "DocumentChunk_textId_fkey" FOREIGN KEY ("textId") REFERENCES "DocumentText" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "DocumentChunk_textId_idx" ON "DocumentChunk"("textId");
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "DocumentPage" ADD COLUMN "confidence" REAL;
+ALTER TABLE "DocumentPage" ADD COLUMN "ocr" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "DocumentText" ADD COLUMN "ocrConfidence" REAL;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "DocumentText" ADD COLUMN "format" TEXT;
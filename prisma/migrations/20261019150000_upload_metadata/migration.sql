@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Document" ADD COLUMN "originalName" TEXT;
+ALTER TABLE "Document" ADD COLUMN "sha256" TEXT;
@@ -0,0 +1,28 @@
+-- AlterTable
+ALTER TABLE "Document" ADD COLUMN "currentVersion" INTEGER NOT NULL DEFAULT 1;
+
+-- CreateTable
+CREATE TABLE "DocumentVersion" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "documentId" INTEGER NOT NULL,
+    "version" INTEGER NOT NULL,
+    "filePath" TEXT NOT NULL,
+    "originalName" TEXT,
+    "sha256" TEXT,
+    "size" INTEGER,
+    "uploadedById" INTEGER,
+    "restoredFrom" INTEGER,
+    "text" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "DocumentVersion_documentId_fkey" FOREIGN KEY ("documentId") REFERENCES "Document" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "DocumentVersion_uploadedById_fkey" FOREIGN KEY ("uploadedById") REFERENCES "User" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DocumentVersion_documentId_version_key" ON "DocumentVersion"("documentId", "version");
+
+-- Existing documents start with their current file as version 1
+INSERT INTO "DocumentVersion" ("documentId", "version", "filePath", "originalName", "sha256", "uploadedById", "text", "createdAt")
+SELECT d."id", 1, d."filePath", d."originalName", d."sha256", d."userId", t."content", d."uploadedAt"
+FROM "Document" d
+LEFT JOIN "DocumentText" t ON t."documentId" = d."id";
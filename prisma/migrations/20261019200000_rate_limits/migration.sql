@@ -0,0 +1,16 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN "failedLogins" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "User" ADD COLUMN "lockedUntil" DATETIME;
+
+-- CreateTable
+CREATE TABLE "UsageCounter" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "userId" INTEGER NOT NULL,
+    "day" TEXT NOT NULL,
+    "metric" TEXT NOT NULL,
+    "count" INTEGER NOT NULL DEFAULT 0,
+    CONSTRAINT "UsageCounter_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "UsageCounter_userId_day_metric_key" ON "UsageCounter"("userId", "day", "metric");
@@ -0,0 +1,15 @@
+-- CreateTable
+CREATE TABLE "DocumentSummary" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "documentId" INTEGER NOT NULL,
+    "version" INTEGER NOT NULL,
+    "style" TEXT NOT NULL,
+    "content" TEXT NOT NULL,
+    "provider" TEXT,
+    "model" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "DocumentSummary_documentId_fkey" FOREIGN KEY ("documentId") REFERENCES "Document" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DocumentSummary_documentId_version_style_key" ON "DocumentSummary"("documentId", "version", "style");
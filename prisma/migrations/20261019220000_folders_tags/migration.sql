@@ -0,0 +1,92 @@
+-- CreateTable
+CREATE TABLE "Folder" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "name" TEXT NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "parentId" INTEGER,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "Folder_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "Folder_parentId_fkey" FOREIGN KEY ("parentId") REFERENCES "Folder" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "Tag" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "name" TEXT NOT NULL,
+    "color" TEXT,
+    "userId" INTEGER NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "Tag_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "DocumentTag" (
+    "documentId" INTEGER NOT NULL,
+    "tagId" INTEGER NOT NULL,
+    "addedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY ("documentId", "tagId"),
+    CONSTRAINT "DocumentTag_documentId_fkey" FOREIGN KEY ("documentId") REFERENCES "Document" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "DocumentTag_tagId_fkey" FOREIGN KEY ("tagId") REFERENCES "Tag" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Document" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "title" TEXT NOT NULL,
+    "filePath" TEXT NOT NULL,
+    "originalName" TEXT,
+    "sha256" TEXT,
+    "mimeType" TEXT,
+    "size" INTEGER,
+    "pageCount" INTEGER,
+    "currentVersion" INTEGER NOT NULL DEFAULT 1,
+    "uploadedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "folderId" INTEGER,
+    CONSTRAINT "Document_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "Document_folderId_fkey" FOREIGN KEY ("folderId") REFERENCES "Folder" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+-- Backfill metadata from the current version and the stored extraction
+INSERT INTO "new_Document" ("id", "title", "filePath", "originalName", "sha256", "mimeType", "size", "pageCount", "currentVersion", "uploadedAt", "updatedAt", "userId")
+SELECT d."id", d."title", d."filePath", d."originalName", d."sha256",
+    CASE t."format"
+        WHEN 'pdf' THEN 'application/pdf'
+        WHEN 'docx' THEN 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+        WHEN 'xlsx' THEN 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        WHEN 'pptx' THEN 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+        WHEN 'odt' THEN 'application/vnd.oasis.opendocument.text'
+        WHEN 'rtf' THEN 'application/rtf'
+        WHEN 'html' THEN 'text/html'
+        WHEN 'eml' THEN 'message/rfc822'
+        WHEN 'csv' THEN 'text/csv'
+        WHEN 'markdown' THEN 'text/markdown'
+        WHEN 'txt' THEN 'text/plain'
+        WHEN 'png' THEN 'image/png'
+        WHEN 'jpeg' THEN 'image/jpeg'
+        WHEN 'tiff' THEN 'image/tiff'
+    END,
+    v."size",
+    (SELECT NULLIF(COUNT(*), 0) FROM "DocumentPage" p WHERE p."textId" = t."id"),
+    d."currentVersion", d."uploadedAt", COALESCE(v."createdAt", d."uploadedAt"), d."userId"
+FROM "Document" d
+LEFT JOIN "DocumentText" t ON t."documentId" = d."id"
+LEFT JOIN "DocumentVersion" v ON v."documentId" = d."id" AND v."version" = d."currentVersion";
+DROP TABLE "Document";
+ALTER TABLE "new_Document" RENAME TO "Document";
+CREATE INDEX "Document_userId_folderId_idx" ON "Document"("userId", "folderId");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
+-- CreateIndex
+CREATE INDEX "Folder_userId_parentId_idx" ON "Folder"("userId", "parentId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Tag_userId_name_key" ON "Tag"("userId", "name");
+
+-- CreateIndex
+CREATE INDEX "DocumentTag_tagId_idx" ON "DocumentTag"("tagId");
@@ -0,0 +1,37 @@
+-- AlterTable
+ALTER TABLE "Document" ADD COLUMN "processingStatus" TEXT NOT NULL DEFAULT 'ready';
+ALTER TABLE "Document" ADD COLUMN "processingError" TEXT;
+
+-- CreateTable
+CREATE TABLE "Job" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "type" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'queued',
+    "payload" TEXT NOT NULL,
+    "result" TEXT,
+    "error" TEXT,
+    "progress" INTEGER NOT NULL DEFAULT 0,
+    "progressMessage" TEXT,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "maxAttempts" INTEGER NOT NULL DEFAULT 3,
+    "runAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lockedBy" TEXT,
+    "lockedAt" DATETIME,
+    "userId" INTEGER,
+    "documentId" INTEGER,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    "startedAt" DATETIME,
+    "finishedAt" DATETIME,
+    CONSTRAINT "Job_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "Job_documentId_fkey" FOREIGN KEY ("documentId") REFERENCES "Document" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "Job_status_runAt_idx" ON "Job"("status", "runAt");
+
+-- CreateIndex
+CREATE INDEX "Job_userId_idx" ON "Job"("userId");
+
+-- CreateIndex
+CREATE INDEX "Job_documentId_idx" ON "Job"("documentId");
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "Document" ADD COLUMN "deletedAt" DATETIME;
+
+-- CreateIndex
+CREATE INDEX "Document_userId_deletedAt_idx" ON "Document"("userId", "deletedAt");
+
+-- CreateIndex
+CREATE INDEX "Document_deletedAt_idx" ON "Document"("deletedAt");
@@ -0,0 +1,31 @@
+-- CreateTable
+CREATE TABLE "Blob" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "key" TEXT NOT NULL,
+    "sha256" TEXT,
+    "size" INTEGER,
+    "format" TEXT,
+    "refCount" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Blob_key_key" ON "Blob"("key");
+
+-- CreateIndex
+CREATE INDEX "Blob_sha256_idx" ON "Blob"("sha256");
+
+-- Storage keys are relative to the storage directory (src/uploads) from now on
+UPDATE "Document" SET "filePath" = substr("filePath", 13) WHERE "filePath" LIKE 'src/uploads/%';
+UPDATE "DocumentVersion" SET "filePath" = substr("filePath", 13) WHERE "filePath" LIKE 'src/uploads/%';
+
+-- Existing files become blobs as they are (one per path, counted once per version using it)
+INSERT INTO "Blob" ("key", "sha256", "size", "refCount")
+SELECT "filePath", MAX("sha256"), MAX("size"), COUNT(*) FROM "DocumentVersion" GROUP BY "filePath";
+
+UPDATE "Blob" SET "format" = (
+    SELECT t."format" FROM "Document" d
+    JOIN "DocumentText" t ON t."documentId" = d."id"
+    WHERE d."filePath" = "Blob"."key" AND t."format" IS NOT NULL
+    LIMIT 1
+);
@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "AuditEvent" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "action" TEXT NOT NULL,
+    "outcome" TEXT NOT NULL DEFAULT 'success',
+    "actorId" INTEGER,
+    "actorName" TEXT,
+    "targetType" TEXT,
+    "targetId" INTEGER,
+    "ownerId" INTEGER,
+    "ip" TEXT,
+    "userAgent" TEXT,
+    "details" TEXT
+);
+
+-- CreateIndex
+CREATE INDEX "AuditEvent_actorId_createdAt_idx" ON "AuditEvent"("actorId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "AuditEvent_ownerId_createdAt_idx" ON "AuditEvent"("ownerId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "AuditEvent_targetType_targetId_idx" ON "AuditEvent"("targetType", "targetId");
+
+-- CreateIndex
+CREATE INDEX "AuditEvent_action_idx" ON "AuditEvent"("action");
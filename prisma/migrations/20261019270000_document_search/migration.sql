@@ -0,0 +1,22 @@
+-- Full-text index over DocumentText.content (SQLite FTS5). Prisma's schema cannot
+-- describe virtual tables, so the table and its sync triggers only live here.
+CREATE VIRTUAL TABLE IF NOT EXISTS "DocumentSearch" USING fts5(content, content='DocumentText', content_rowid='id', tokenize='porter unicode61');
+
+-- CreateTrigger
+CREATE TRIGGER IF NOT EXISTS "DocumentText_search_ai" AFTER INSERT ON "DocumentText" BEGIN
+    INSERT INTO "DocumentSearch"(rowid, content) VALUES (new.id, coalesce(new.content, ''));
+END;
+
+-- CreateTrigger
+CREATE TRIGGER IF NOT EXISTS "DocumentText_search_ad" AFTER DELETE ON "DocumentText" BEGIN
+    INSERT INTO "DocumentSearch"("DocumentSearch", rowid, content) VALUES ('delete', old.id, coalesce(old.content, ''));
+END;
+
+-- CreateTrigger
+CREATE TRIGGER IF NOT EXISTS "DocumentText_search_au" AFTER UPDATE OF content ON "DocumentText" BEGIN
+    INSERT INTO "DocumentSearch"("DocumentSearch", rowid, content) VALUES ('delete', old.id, coalesce(old.content, ''));
+    INSERT INTO "DocumentSearch"(rowid, content) VALUES (new.id, coalesce(new.content, ''));
+END;
+
+-- Index everything extracted so far
+INSERT INTO "DocumentSearch"("DocumentSearch") VALUES ('rebuild');
@@ -0,0 +1,21 @@
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Blob" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "key" TEXT NOT NULL,
+    "sha256" TEXT,
+    "size" INTEGER,
+    "format" TEXT,
+    "refCount" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastUsedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+INSERT INTO "new_Blob" ("id", "key", "sha256", "size", "format", "refCount", "createdAt", "lastUsedAt")
+SELECT "id", "key", "sha256", "size", "format", "refCount", "createdAt", "createdAt" FROM "Blob";
+DROP TABLE "Blob";
+ALTER TABLE "new_Blob" RENAME TO "Blob";
+CREATE UNIQUE INDEX "Blob_key_key" ON "Blob"("key");
+CREATE INDEX "Blob_sha256_idx" ON "Blob"("sha256");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
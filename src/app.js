@@ -2,14 +2,36 @@ import express from 'express';
 import cors from 'cors';
 import authRoutes from './routes/authRoutes.js';
 import documentRoutes from './routes/documentRoutes.js';
+import collectionRoutes from './routes/collectionRoutes.js';
+import publicShareRoutes from './routes/publicShareRoutes.js';
+import folderRoutes from './routes/folderRoutes.js';
+import tagRoutes from './routes/tagRoutes.js';
+import jobRoutes from './routes/jobRoutes.js';
+import auditRoutes from './routes/auditRoutes.js';
 
 const app = express();
-app.use(cors({ origin: "*" }));
+// Behind a reverse proxy (Render, nginx) req.ip must come from X-Forwarded-For for rate limiting
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+app.use(cors({
+  origin: "*",
+  // let browser clients read download and rate limit metadata
+  exposedHeaders: [
+    "Content-Disposition", "Content-Range", "Location", "Content-Length", "ETag", "Accept-Ranges",
+    "RateLimit-Limit", "RateLimit-Remaining", "RateLimit-Reset", "Retry-After", "X-Quota-Remaining", "X-Skipped-Ids", "X-Summary-Omitted",
+  ],
+}));
 
 app.use(express.json());
-app.use('/uploads', express.static('src/uploads'));
 
 app.use('/api/auth', authRoutes);
 app.use('/api/documents', documentRoutes);
+app.use('/api/collections', collectionRoutes);
+app.use('/api/folders', folderRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/shared', publicShareRoutes);
 
 export default app;
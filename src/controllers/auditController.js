@@ -0,0 +1,63 @@
+// src/controllers/auditController.js
+import { prisma } from '../prismaClient.js';
+import { contentDisposition } from '../services/fileResponse.js';
+import { AUDIT_EXPORT_MAX_ROWS, auditWhere, auditEventsToCsv, serializeAuditEvent } from '../services/audit.js';
+
+// ------------------------------------------- LIST AUDIT EVENTS -------------------------------------------
+// ?action=&actorId=&documentId=&outcome=&from=&to=&page=&limit= – newest first.
+// Shows what the caller did plus what anyone did to the caller's documents or account.
+// ?format=csv downloads every matching event (up to AUDIT_EXPORT_MAX_ROWS) instead of one page.
+export async function listAuditEvents(req, res) {
+  try {
+    const { format, page = '1', limit = '50' } = req.query;
+    if (format !== undefined && format !== 'json' && format !== 'csv') {
+      return res.status(400).json({ error: "format must be 'json' or 'csv'" });
+    }
+
+    const filter = auditWhere(req.user.id, req.query);
+    if (filter.error) return res.status(filter.status).json({ error: filter.error });
+    const { where } = filter;
+
+    if (format === 'csv') {
+      const events = await prisma.auditEvent.findMany({
+        where,
+        orderBy: { id: 'desc' },
+        take: AUDIT_EXPORT_MAX_ROWS,
+      });
+      const day = new Date().toISOString().slice(0, 10);
+      res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': contentDisposition('attachment', `audit-${day}.csv`),
+        'Cache-Control': 'private, no-store',
+      });
+      return res.send(auditEventsToCsv(events));
+    }
+
+    let pageNum = parseInt(page, 10);
+    let limitNum = parseInt(limit, 10);
+    if (!Number.isFinite(pageNum) || pageNum < 1) pageNum = 1;
+    if (!Number.isFinite(limitNum) || limitNum < 1) limitNum = 1;
+    if (limitNum > 200) limitNum = 200;
+
+    const [events, total] = await Promise.all([
+      prisma.auditEvent.findMany({
+        where,
+        orderBy: { id: 'desc' },
+        skip: (pageNum - 1) * limitNum,
+        take: limitNum,
+      }),
+      prisma.auditEvent.count({ where }),
+    ]);
+
+    return res.json({
+      data: events.map(serializeAuditEvent),
+      page: pageNum,
+      limit: limitNum,
+      total,
+      totalPages: Math.max(1, Math.ceil(total / limitNum)),
+    });
+  } catch (err) {
+    console.error('listAuditEvents error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
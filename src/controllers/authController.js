@@ -1,50 +1,328 @@
 // src/controllers/authController.js
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import { prisma } from '../prismaClient.js';
+import {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeOtherSessions,
+  listActiveSessions,
+} from '../services/sessions.js';
+import {
+  validateFields,
+  validateUsername,
+  validateEmail,
+  validatePassword,
+  validationError,
+  uniqueFieldErrors,
+} from '../services/validation.js';
+import { getUsage } from '../services/quotas.js';
+import { getStorageUsage } from '../services/trash.js';
+import { startPasswordReset, completePasswordReset, deleteAccount as removeAccount } from '../services/accounts.js';
+import { recordAudit } from '../services/audit.js';
+
+// Progressive lockout: after LOGIN_LOCKOUT_THRESHOLD consecutive failures the account
+// is locked for LOGIN_LOCKOUT_BASE_MS, doubling with every further failure (capped)
+const LOCKOUT_THRESHOLD = Number(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+const LOCKOUT_BASE_MS = Number(process.env.LOGIN_LOCKOUT_BASE_MS) || 60 * 1000;
+const LOCKOUT_MAX_MS = Number(process.env.LOGIN_LOCKOUT_MAX_MS) || 60 * 60 * 1000;
+
+function lockoutUntil(failedLogins) {
+  if (failedLogins < LOCKOUT_THRESHOLD) return null;
+  const ms = Math.min(LOCKOUT_MAX_MS, LOCKOUT_BASE_MS * 2 ** (failedLogins - LOCKOUT_THRESHOLD));
+  return new Date(Date.now() + ms);
+}
+
+function serializeUser(user) {
+  return { id: user.id, username: user.username, email: user.email };
+}
 
 export async function register(req, res) {
   const { username, email, password } = req.body;
+  const fields = validateFields({
+    username: () => validateUsername(username),
+    email: () => validateEmail(email),
+    password: () => validatePassword(password),
+  });
+  if (fields) return validationError(res, fields);
+
   try {
     const hashed = await bcrypt.hash(password, 10);
     const user = await prisma.user.create({
-      data: { username, email, password: hashed }
+      data: { username, email: email || null, password: hashed }
     });
     // return user info (no token)
-    res.json({ id: user.id, username: user.username, email: user.email });
+    res.json(serializeUser(user));
   } catch (err) {
     // Check for unique constraint violation (Prisma error code P2002)
-    console.log(err);
-    if (err.code === 'P2002' && err.meta?.target) {
-      const field = err.meta.target[0];
-      if (field === 'username') {
-        return res.status(400).json({ error: 'Username already exists' });
-      } else if (field === 'email') {
-        return res.status(400).json({ error: 'Email already exists' });
-      }
-    }
-    res.status(400).json({ error: err.message });
+    const duplicates = uniqueFieldErrors(err);
+    if (duplicates) return validationError(res, duplicates);
+    console.error('register error:', err);
+    res.status(500).json({ error: 'Server error' });
   }
 }
 
 export async function login(req, res) {
   const { username, password } = req.body;
+  if (typeof username !== 'string' || typeof password !== 'string') {
+    return res.status(400).json({ error: 'username and password are required' });
+  }
   try {
     const user = await prisma.user.findUnique({ where: { username } });
-    if (!user) return res.status(401).json({ error: 'Invalid credentials' });
+    if (!user) {
+      await recordAudit(req, 'auth.login', { actor: null, outcome: 'failure', details: { username, reason: 'unknown_user' } });
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+    const target = { type: 'user', id: user.id, ownerId: user.id };
+
+    if (user.lockedUntil && user.lockedUntil > new Date()) {
+      await recordAudit(req, 'auth.login', { actor: user, target, outcome: 'failure', details: { reason: 'account_locked' } });
+      const retryAfter = Math.ceil((user.lockedUntil - Date.now()) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: 'Account temporarily locked after repeated failed logins',
+        code: 'account_locked',
+        retryAfter,
+      });
+    }
+
     const match = await bcrypt.compare(password, user.password);
-    if (!match) return res.status(401).json({ error: 'Invalid credentials' });
-    // Generate JWT for protected routes
-    const token = jwt.sign(
-      { id: user.id, username: user.username, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: '1h' }
-    );
+    if (!match) {
+      // Incremented in the database so parallel guesses can't overwrite each other's count
+      const { failedLogins } = await prisma.user.update({
+        where: { id: user.id },
+        data: { failedLogins: { increment: 1 } },
+        select: { failedLogins: true },
+      });
+      const lockedUntil = lockoutUntil(failedLogins);
+      if (lockedUntil) {
+        await prisma.user.update({ where: { id: user.id }, data: { lockedUntil } });
+      }
+      await recordAudit(req, 'auth.login', {
+        actor: user,
+        target,
+        outcome: 'failure',
+        details: { reason: 'bad_password', failedLogins },
+      });
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+    if (user.failedLogins || user.lockedUntil) {
+      await prisma.user.update({ where: { id: user.id }, data: { failedLogins: 0, lockedUntil: null } });
+    }
+    // Short-lived JWT for protected routes + refresh token for the new session
+    const tokens = await createSession(user, { userAgent: req.get('user-agent'), ip: req.ip });
+    await recordAudit(req, 'auth.login', { actor: user, target });
     res.json({
-      token,
-      user: { id: user.id, username: user.username, email: user.email }
+      ...tokens,
+      user: serializeUser(user)
     });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 }
+
+// Rotates the refresh token: the old one stops working and a new pair is returned
+export async function refresh(req, res) {
+  const { refreshToken } = req.body;
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    return res.status(400).json({ error: 'refreshToken is required' });
+  }
+  try {
+    const result = await rotateSession(refreshToken, { ip: req.ip });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    const { user, ...tokens } = result;
+    res.json({
+      ...tokens,
+      user: serializeUser(user)
+    });
+  } catch (err) {
+    console.error('refresh error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+export async function logout(req, res) {
+  try {
+    await revokeSession(req.user.id, req.user.sid);
+    res.status(204).send();
+  } catch (err) {
+    console.error('logout error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+export async function listSessions(req, res) {
+  try {
+    const sessions = await listActiveSessions(req.user.id);
+    res.json(sessions.map(s => ({ ...s, current: s.id === req.user.sid })));
+  } catch (err) {
+    console.error('listSessions error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+export async function deleteSession(req, res) {
+  try {
+    const revoked = await revokeSession(req.user.id, req.params.sessionId);
+    if (!revoked) return res.status(404).json({ error: 'Session not found' });
+    res.status(204).send();
+  } catch (err) {
+    console.error('deleteSession error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+// Changing the password signs out every other session; the current one stays valid
+export async function changePassword(req, res) {
+  const { currentPassword, newPassword } = req.body;
+  const fields = validateFields({
+    currentPassword: () => (typeof currentPassword === 'string' && currentPassword ? null : 'Current password is required'),
+    newPassword: () => validatePassword(newPassword, { field: 'New password' })
+      || (newPassword === currentPassword ? 'New password must differ from the current one' : null),
+  });
+  if (fields) return validationError(res, fields);
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const match = await bcrypt.compare(currentPassword, user.password);
+    if (!match) return validationError(res, { currentPassword: 'Current password is incorrect' });
+
+    const hashed = await bcrypt.hash(newPassword, 10);
+    await prisma.user.update({ where: { id: user.id }, data: { password: hashed } });
+    const revokedSessions = await revokeOtherSessions(user.id, req.user.sid);
+
+    res.json({ message: 'Password changed', revokedSessions });
+  } catch (err) {
+    console.error('changePassword error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+export async function getMe(req, res) {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const [documents, sharedWithMe] = await Promise.all([
+      prisma.document.count({ where: { userId: user.id, deletedAt: null } }),
+      prisma.documentShare.count({ where: { userId: user.id, document: { deletedAt: null } } }),
+    ]);
+    res.json({ ...serializeUser(user), documents, sharedWithMe });
+  } catch (err) {
+    console.error('getMe error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+// Updates username and/or email; send email: null to remove it
+export async function updateMe(req, res) {
+  const { username, email } = req.body;
+  if (username === undefined && email === undefined) {
+    return res.status(400).json({ error: 'Nothing to update (username, email)' });
+  }
+  const fields = validateFields({
+    username: () => (username === undefined ? null : validateUsername(username)),
+    email: () => (email === undefined ? null : validateEmail(email)),
+  });
+  if (fields) return validationError(res, fields);
+
+  try {
+    const user = await prisma.user.update({
+      where: { id: req.user.id },
+      data: {
+        ...(username !== undefined && { username }),
+        ...(email !== undefined && { email: email || null }),
+      },
+    });
+    // Existing access tokens still carry the old username/email until the next refresh
+    res.json(serializeUser(user));
+  } catch (err) {
+    const duplicates = uniqueFieldErrors(err);
+    if (duplicates) return validationError(res, duplicates);
+    console.error('updateMe error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+// Always answers 202, before the mail goes out, so neither the response nor its timing
+// tells which accounts exist
+export async function requestPasswordReset(req, res) {
+  const { email, username } = req.body;
+  if (!email && !username) {
+    return validationError(res, { email: 'Email or username is required' });
+  }
+  try {
+    const user = await prisma.user.findFirst({
+      where: email ? { email: String(email) } : { username: String(username) },
+    });
+    res.status(202).json({ message: 'If the account exists, a reset link has been sent' });
+    if (user) {
+      startPasswordReset(user).catch(err => console.error('requestPasswordReset: reset mail failed', err));
+    }
+  } catch (err) {
+    console.error('requestPasswordReset error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+export async function confirmPasswordReset(req, res) {
+  const { token, newPassword } = req.body;
+  const fields = validateFields({
+    token: () => (typeof token === 'string' && token ? null : 'Reset token is required'),
+    newPassword: () => validatePassword(newPassword, { field: 'New password' }),
+  });
+  if (fields) return validationError(res, fields);
+
+  try {
+    const result = await completePasswordReset(token, newPassword);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json({ message: 'Password has been reset, please log in again' });
+  } catch (err) {
+    console.error('confirmPasswordReset error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+// Deletes the account, its documents and their files; requires the current password
+export async function deleteMe(req, res) {
+  const { password } = req.body || {};
+  if (typeof password !== 'string' || !password) {
+    return validationError(res, { password: 'Password is required to delete your account' });
+  }
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const match = await bcrypt.compare(password, user.password);
+    if (!match) return validationError(res, { password: 'Password is incorrect' });
+
+    const removed = await removeAccount(user.id);
+    console.log(`[auth] deleted user ${user.id} (${removed.documents} documents, ${removed.files} files)`);
+    res.status(204).send();
+  } catch (err) {
+    console.error('deleteMe error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+// Remaining daily allowances (e.g. questions) for the caller
+export async function getMyUsage(req, res) {
+  try {
+    res.json({ quotas: await getUsage(req.user.id) });
+  } catch (err) {
+    console.error('getMyUsage error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+// Bytes on disk for the caller's documents, with the trash and older versions broken out
+export async function getMyStorage(req, res) {
+  try {
+    res.json(await getStorageUsage(req.user.id));
+  } catch (err) {
+    console.error('getMyStorage error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
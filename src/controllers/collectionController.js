@@ -0,0 +1,181 @@
+// src/controllers/collectionController.js
+import { prisma } from '../prismaClient.js';
+
+// Normalizes a documentIds body field; returns null when it is not an array
+function parseIds(value) {
+  if (!Array.isArray(value)) return null;
+  return [...new Set(value.map(Number).filter(Number.isFinite))];
+}
+
+// Keeps only the ids of documents owned by the user (same rule as bulk delete)
+async function filterOwnedIds(ids, userId) {
+  if (ids.length === 0) return [];
+  const docs = await prisma.document.findMany({
+    where: { id: { in: ids }, userId, deletedAt: null },
+    select: { id: true },
+  });
+  return docs.map(d => d.id);
+}
+
+function serializeCollection(collection) {
+  const { documents, ...rest } = collection;
+  return {
+    ...rest,
+    documents: documents.map(cd => cd.document),
+  };
+}
+
+// Trashed documents stay in their collections but are hidden until restored
+const collectionInclude = {
+  documents: {
+    where: { document: { deletedAt: null } },
+    include: { document: true },
+    orderBy: { addedAt: 'asc' },
+  },
+};
+
+// Resolves :id to a collection owned by the caller, or sends the error response and returns null
+async function loadOwnedCollection(req, res) {
+  const id = Number(req.params.id);
+  if (!Number.isFinite(id)) {
+    res.status(400).json({ error: 'Invalid collection id' });
+    return null;
+  }
+
+  const collection = await prisma.collection.findUnique({ where: { id }, include: collectionInclude });
+  if (!collection) {
+    res.status(404).json({ error: 'Collection not found' });
+    return null;
+  }
+
+  // Ownership check
+  if (!req.user || req.user.id !== collection.userId) {
+    res.status(403).json({ error: 'Not allowed to access this collection' });
+    return null;
+  }
+  return collection;
+}
+
+// ------------------------------------------- LIST COLLECTIONS -------------------------------------------
+export async function listCollections(req, res) {
+  try {
+    const collections = await prisma.collection.findMany({
+      where: { userId: req.user.id },
+      orderBy: { createdAt: 'desc' },
+      include: { _count: { select: { documents: { where: { document: { deletedAt: null } } } } } },
+    });
+
+    return res.json({
+      data: collections.map(({ _count, ...c }) => ({ ...c, documentCount: _count.documents })),
+    });
+  } catch (err) {
+    console.error('listCollections error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+// ------------------------------------------- CREATE COLLECTION -------------------------------------------
+export async function createCollection(req, res) {
+  try {
+    const { name, documentIds = [] } = req.body;
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'Name is required and must be a string' });
+    }
+
+    const ids = parseIds(documentIds);
+    if (!ids) return res.status(400).json({ error: 'documentIds must be an array' });
+    const ownedIds = await filterOwnedIds(ids, req.user.id);
+
+    const collection = await prisma.collection.create({
+      data: {
+        name: name.trim(),
+        userId: req.user.id,
+        documents: { create: ownedIds.map(documentId => ({ documentId })) },
+      },
+      include: collectionInclude,
+    });
+
+    return res.status(201).json({
+      ...serializeCollection(collection),
+      skipped: ids.filter(id => !ownedIds.includes(id)),
+    });
+  } catch (err) {
+    console.error('createCollection error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+// ------------------------------------------- GET COLLECTION -------------------------------------------
+export async function getCollection(req, res) {
+  try {
+    const collection = await loadOwnedCollection(req, res);
+    if (!collection) return;
+
+    return res.json(serializeCollection(collection));
+  } catch (err) {
+    console.error('getCollection error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+// ------------------------------------------- UPDATE COLLECTION -------------------------------------------
+// Body: { name?, documentIds? } – documentIds replaces the membership; documents in the trash
+// keep their place, so restoring one brings it back into the collection
+export async function updateCollection(req, res) {
+  try {
+    const collection = await loadOwnedCollection(req, res);
+    if (!collection) return;
+
+    const { name, documentIds } = req.body;
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      return res.status(400).json({ error: 'Name must be a non-empty string' });
+    }
+
+    let ids = null;
+    let ownedIds = null;
+    if (documentIds !== undefined) {
+      ids = parseIds(documentIds);
+      if (!ids) return res.status(400).json({ error: 'documentIds must be an array' });
+      ownedIds = await filterOwnedIds(ids, req.user.id);
+    }
+
+    const updated = await prisma.$transaction(async tx => {
+      if (ownedIds) {
+        await tx.collectionDocument.deleteMany({ where: { collectionId: collection.id, document: { deletedAt: null } } });
+        if (ownedIds.length) {
+          await tx.collectionDocument.createMany({
+            data: ownedIds.map(documentId => ({ collectionId: collection.id, documentId })),
+          });
+        }
+      }
+      return tx.collection.update({
+        where: { id: collection.id },
+        data: name !== undefined ? { name: name.trim() } : {},
+        include: collectionInclude,
+      });
+    });
+
+    return res.json({
+      ...serializeCollection(updated),
+      skipped: ids ? ids.filter(id => !ownedIds.includes(id)) : [],
+    });
+  } catch (err) {
+    console.error('updateCollection error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+// ------------------------------------------- DELETE COLLECTION -------------------------------------------
+// Only the grouping is removed; the documents themselves stay
+export async function deleteCollection(req, res) {
+  try {
+    const collection = await loadOwnedCollection(req, res);
+    if (!collection) return;
+
+    await prisma.collection.delete({ where: { id: collection.id } });
+    return res.status(204).send();
+  } catch (err) {
+    console.error('deleteCollection error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
@@ -0,0 +1,224 @@
+// src/controllers/conversationController.js
+import { prisma } from '../prismaClient.js';
+import { prepareQuestion, buildAnswer } from '../services/qa.js';
+import { generate, LlmError, toErrorBody } from '../services/llm/index.js';
+import { getDocumentAccess } from '../services/access.js';
+import { recordAudit, modelDetails } from '../services/audit.js';
+
+const MAX_TITLE_LENGTH = 120;
+
+// Stored citations are JSON text; hand them back as arrays
+function serializeMessage(message) {
+  return {
+    ...message,
+    citations: message.citations ? JSON.parse(message.citations) : null,
+  };
+}
+
+// Resolves :id to a document the caller holds at least `required` on, or sends the error response and returns null
+async function loadDocument(req, res, required, action) {
+  const access = await getDocumentAccess(req.user, req.params.id, required, action);
+  if (access.error) {
+    res.status(access.status).json({ error: access.error });
+    return null;
+  }
+  return access.document;
+}
+
+// Resolves :conversationId to a thread of this document started by the caller
+async function loadConversation(req, res, doc) {
+  const conversationId = Number(req.params.conversationId);
+  if (!Number.isFinite(conversationId)) {
+    res.status(400).json({ error: 'Invalid conversation id' });
+    return null;
+  }
+
+  const conversation = await prisma.conversation.findUnique({ where: { id: conversationId } });
+  if (!conversation || conversation.documentId !== doc.id || conversation.userId !== req.user.id) {
+    res.status(404).json({ error: 'Conversation not found' });
+    return null;
+  }
+  return conversation;
+}
+
+// ------------------------------------------- CREATE CONVERSATION -------------------------------------------
+export async function createConversation(req, res) {
+  try {
+    const doc = await loadDocument(req, res, 'commenter', 'discuss');
+    if (!doc) return;
+
+    const { title } = req.body;
+    if (title !== undefined && typeof title !== 'string') {
+      return res.status(400).json({ error: 'Title must be a string' });
+    }
+
+    const conversation = await prisma.conversation.create({
+      data: {
+        title: (title || '').trim().slice(0, MAX_TITLE_LENGTH) || 'New conversation',
+        documentId: doc.id,
+        userId: req.user.id,
+      },
+    });
+
+    return res.status(201).json(conversation);
+  } catch (err) {
+    console.error('createConversation error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+// ------------------------------------------- LIST CONVERSATIONS -------------------------------------------
+export async function listConversations(req, res) {
+  try {
+    const doc = await loadDocument(req, res, 'commenter', 'discuss');
+    if (!doc) return;
+
+    const conversations = await prisma.conversation.findMany({
+      where: { documentId: doc.id, userId: req.user.id },
+      orderBy: { updatedAt: 'desc' },
+      include: { _count: { select: { messages: true } } },
+    });
+
+    return res.json({
+      data: conversations.map(({ _count, ...c }) => ({ ...c, messageCount: _count.messages })),
+    });
+  } catch (err) {
+    console.error('listConversations error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+// ------------------------------------------- GET CONVERSATION -------------------------------------------
+export async function getConversation(req, res) {
+  try {
+    const doc = await loadDocument(req, res, 'commenter', 'discuss');
+    if (!doc) return;
+    const conversation = await loadConversation(req, res, doc);
+    if (!conversation) return;
+
+    const messages = await prisma.message.findMany({
+      where: { conversationId: conversation.id },
+      orderBy: { id: 'asc' },
+    });
+
+    return res.json({ ...conversation, messages: messages.map(serializeMessage) });
+  } catch (err) {
+    console.error('getConversation error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+// ------------------------------------------- RENAME CONVERSATION -------------------------------------------
+export async function renameConversation(req, res) {
+  try {
+    const doc = await loadDocument(req, res, 'commenter', 'discuss');
+    if (!doc) return;
+    const conversation = await loadConversation(req, res, doc);
+    if (!conversation) return;
+
+    const { title } = req.body;
+    if (!title || typeof title !== 'string' || !title.trim()) {
+      return res.status(400).json({ error: 'Title is required and must be a string' });
+    }
+
+    const updated = await prisma.conversation.update({
+      where: { id: conversation.id },
+      data: { title: title.trim().slice(0, MAX_TITLE_LENGTH) },
+    });
+
+    return res.json(updated);
+  } catch (err) {
+    console.error('renameConversation error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+// ------------------------------------------- DELETE CONVERSATION -------------------------------------------
+export async function deleteConversation(req, res) {
+  try {
+    const doc = await loadDocument(req, res, 'commenter', 'discuss');
+    if (!doc) return;
+    const conversation = await loadConversation(req, res, doc);
+    if (!conversation) return;
+
+    // messages go with it (onDelete: Cascade)
+    await prisma.conversation.delete({ where: { id: conversation.id } });
+    return res.status(204).send();
+  } catch (err) {
+    console.error('deleteConversation error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+// ------------------------------------------- ASK IN CONVERSATION -------------------------------------------
+export async function askInConversation(req, res) {
+  try {
+    const { question } = req.body;
+    if (!question) return res.status(400).json({ error: 'Question is required' });
+
+    const doc = await loadDocument(req, res, 'commenter', 'discuss');
+    if (!doc) return;
+    const conversation = await loadConversation(req, res, doc);
+    if (!conversation) return;
+
+    // Prior turns are bounded again inside prepareQuestion by count and characters
+    const history = await prisma.message.findMany({
+      where: { conversationId: conversation.id },
+      orderBy: { id: 'desc' },
+      take: 20,
+    });
+
+    const prepared = await prepareQuestion(doc, question, { history: history.reverse() });
+    if (prepared.error) return res.status(prepared.status).json({ error: prepared.error });
+
+    let result;
+    try {
+      result = await generate(prepared.prompt, { provider: req.body.provider, model: req.body.model });
+    } catch (e) {
+      if (e instanceof LlmError) {
+        console.warn('askInConversation: model error', e.provider, e.code, e.detail || '');
+        await recordAudit(req, 'document.ask', {
+          document: doc,
+          outcome: 'failure',
+          details: { conversationId: conversation.id, provider: e.provider, code: e.code },
+        });
+        return res.status(e.status).json(toErrorBody(e));
+      }
+      throw e;
+    }
+
+    await recordAudit(req, 'document.ask', {
+      document: doc,
+      details: { conversationId: conversation.id, ...modelDetails(result) },
+    });
+    const answer = buildAnswer(prepared, result);
+
+    // Only completed turns are saved, so a failed model call leaves the thread untouched
+    const [userMessage, assistantMessage] = await prisma.$transaction([
+      prisma.message.create({
+        data: { conversationId: conversation.id, role: 'user', content: String(question) },
+      }),
+      prisma.message.create({
+        data: {
+          conversationId: conversation.id,
+          role: 'assistant',
+          content: answer.answer,
+          citations: JSON.stringify(answer.citations),
+        },
+      }),
+      prisma.conversation.update({
+        where: { id: conversation.id },
+        data: { updatedAt: new Date() },
+      }),
+    ]);
+
+    return res.json({
+      ...answer,
+      conversationId: conversation.id,
+      messages: [serializeMessage(userMessage), serializeMessage(assistantMessage)],
+    });
+  } catch (err) {
+    console.error('askInConversation error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
@@ -1,10 +1,103 @@
 // src/controllers/documentController.js
-import fs from 'fs';
-import fetch from 'node-fetch';
 import { prisma } from '../prismaClient.js';
-import { extractText } from '../services/extractText.js';
+import { copyDocumentText } from '../services/documentText.js';
+import { processUpload, discardUpload, sanitizeFilename } from '../services/uploads.js';
+import { unpackZip, archiveEntryNames, createZipStream } from '../services/archives.js';
+import { getStorage } from '../services/storage/index.js';
+import { recordVersion } from '../services/versions.js';
+import { getDocumentAccess, filterAccessibleDocuments, documentViewWhere } from '../services/access.js';
+import { sendStoredFile, contentDisposition } from '../services/fileResponse.js';
+import { getSummary, SUMMARY_STYLES } from '../services/summaries.js';
+import { extractFields } from '../services/extraction.js';
+import { checkSchema } from '../services/jsonSchema.js';
+import { enqueueJob, serializeJob } from '../services/jobs.js';
+import { enqueueDocumentProcessing } from '../services/documentJobs.js';
+import { purgeDocuments, trashExpiresAt } from '../services/trash.js';
+import { recordAudit, modelDetails } from '../services/audit.js';
+import { FORMATS } from '../services/extractText.js';
+import { folderSubtreeIds, folderPath, resolveFolderId } from '../services/folders.js';
+import { parseTagNames, normalizeTagName, ensureTags, documentTagsInclude, withTagList } from '../services/tags.js';
+import {
+  prepareQuestion,
+  buildAnswer,
+  prepareMultiDocumentQuestion,
+  buildMultiDocumentAnswer,
+} from '../services/qa.js';
+import { generate, generateStream, LlmError, toErrorBody } from '../services/llm/index.js';
+import { openEventStream } from '../services/sse.js';
+import { searchDocumentContent, countContentMatches } from '../services/search.js';
 import path from 'path';
 
+// 202 response for work handed to the job queue; clients poll the Location
+function sendAccepted(res, body, job) {
+  return res.status(202).location(`/api/jobs/${job.id}`).json({ ...body, job: serializeJob(job) });
+}
+
+// Parses a date query value; a bare YYYY-MM-DD used as an upper bound covers that whole day
+function parseDateParam(value, endOfDay) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) date.setUTCDate(date.getUTCDate() + 1);
+  return date;
+}
+
+// Folder, tag, type, size and date filters of the document list as Prisma conditions.
+// Resolves { conditions } or { status, error }.
+async function metadataFilters(query, userId) {
+  const conditions = [];
+
+  // folder: a folder id or 'root'; folders hold only the caller's own documents
+  if (query.folder !== undefined) {
+    if (query.folder === 'root') {
+      conditions.push({ userId, folderId: null });
+    } else {
+      const folder = await resolveFolderId(userId, query.folder);
+      if (folder.error) return { status: folder.status, error: folder.error };
+      const ids = query.recursive === 'true' ? await folderSubtreeIds(userId, folder.folderId) : [folder.folderId];
+      conditions.push({ userId, folderId: { in: ids } });
+    }
+  }
+
+  // tag: comma-separated names, documents must carry all of them
+  if (query.tag) {
+    for (const name of String(query.tag).split(',').map(normalizeTagName).filter(Boolean)) {
+      conditions.push({ tags: { some: { tag: { userId, name } } } });
+    }
+  }
+
+  // type: comma-separated format names (pdf, docx, ...) or MIME types
+  if (query.type) {
+    const mimeTypes = [];
+    for (const type of String(query.type).split(',').map(t => t.trim().toLowerCase()).filter(Boolean)) {
+      if (FORMATS[type]) mimeTypes.push(FORMATS[type].mime);
+      else if (type.includes('/')) mimeTypes.push(type);
+      else return { status: 400, error: `Unknown type '${type}'; use one of: ${Object.keys(FORMATS).join(', ')} or a MIME type` };
+    }
+    conditions.push({ mimeType: { in: mimeTypes } });
+  }
+
+  for (const [param, op] of [['minSize', 'gte'], ['maxSize', 'lte']]) {
+    if (query[param] === undefined) continue;
+    const bytes = Number(query[param]);
+    if (!Number.isInteger(bytes) || bytes < 0) return { status: 400, error: `${param} must be a number of bytes` };
+    conditions.push({ size: { [op]: bytes } });
+  }
+
+  for (const [param, field, op] of [
+    ['uploadedFrom', 'uploadedAt', 'gte'],
+    ['uploadedTo', 'uploadedAt', 'lt'],
+    ['updatedFrom', 'updatedAt', 'gte'],
+    ['updatedTo', 'updatedAt', 'lt'],
+  ]) {
+    if (query[param] === undefined) continue;
+    const date = parseDateParam(String(query[param]), op === 'lt');
+    if (!date) return { status: 400, error: `${param} must be an ISO date` };
+    conditions.push({ [field]: { [op]: date } });
+  }
+
+  return { conditions };
+}
+
 // ------------------------------------------- GET DOCUMENTS -------------------------------------------
 export async function getDocuments(req, res) {
   try {
@@ -15,10 +108,12 @@ export async function getDocuments(req, res) {
 
     const {
       search = '',
+      searchIn = 'title',
       sort = 'uploadedAt_desc',
       filter = 'all',
       page = '1',
       limit = '4',
+      view = 'owned',
     } = req.query;
 
     // ---- Normalize pagination ----
@@ -32,14 +127,33 @@ export async function getDocuments(req, res) {
     const skip = (pageNum - 1) * limitNum;
 
     // ---- WHERE clause ----
-    const where = {
-      userId: currentUserId,
-    };
+    // view: 'owned' (default), 'shared' (shared with me), 'all' or 'trash' (my deleted documents)
+    if (!['owned', 'shared', 'all', 'trash'].includes(view)) {
+      return res.status(400).json({ error: "view must be 'owned', 'shared', 'all' or 'trash'" });
+    }
+    const visible = documentViewWhere(currentUserId, view);
+    const where = { AND: [visible] };
+
+    // searchIn: 'title' (default), 'content' (extracted text, full-text index) or 'all'
+    if (!['title', 'content', 'all'].includes(searchIn)) {
+      return res.status(400).json({ error: "searchIn must be 'title', 'content' or 'all'" });
+    }
+
+    let contentHits = null;
+    if (search && searchIn !== 'title') {
+      const visibleIds = await prisma.document.findMany({
+        where: visible,
+        select: { id: true },
+      });
+      contentHits = await searchDocumentContent(String(search), { documentIds: visibleIds.map(d => d.id) });
+    }
 
     if (search) {
-      where.title = {
-        contains: String(search),
-      };
+      const titleMatch = { title: { contains: String(search) } };
+      const contentMatch = { id: { in: contentHits ? [...contentHits.keys()] : [] } };
+      if (searchIn === 'title') Object.assign(where, titleMatch);
+      else if (searchIn === 'content') Object.assign(where, contentMatch);
+      else where.OR = [titleMatch, contentMatch];
     }
 
     // Date-based filter on uploadedAt
@@ -62,6 +176,10 @@ export async function getDocuments(req, res) {
       }
     }
 
+    const filters = await metadataFilters(req.query, currentUserId);
+    if (filters.error) return res.status(filters.status).json({ error: filters.error });
+    where.AND.push(...filters.conditions);
+
     // ---- ORDER BY clause ----
     let orderBy;
     switch (sort) {
@@ -74,6 +192,28 @@ export async function getDocuments(req, res) {
       case 'uploadedAt_asc':
         orderBy = { uploadedAt: 'asc' };
         break;
+      case 'size_asc':
+        orderBy = [{ size: 'asc' }, { id: 'asc' }];
+        break;
+      case 'size_desc':
+        orderBy = [{ size: 'desc' }, { id: 'desc' }];
+        break;
+      case 'updatedAt_asc':
+        orderBy = { updatedAt: 'asc' };
+        break;
+      case 'updatedAt_desc':
+        orderBy = { updatedAt: 'desc' };
+        break;
+      case 'deletedAt_asc':
+        orderBy = [{ deletedAt: 'asc' }, { id: 'asc' }];
+        break;
+      case 'deletedAt_desc':
+        orderBy = [{ deletedAt: 'desc' }, { id: 'desc' }];
+        break;
+      case 'relevance':
+        // ranked in memory below when searching content; otherwise newest first
+        orderBy = { uploadedAt: 'desc' };
+        break;
       case 'uploadedAt_desc':
       default:
         orderBy = { uploadedAt: 'desc' };
@@ -81,17 +221,71 @@ export async function getDocuments(req, res) {
     }
 
     // ---- Query with pagination ----
-    const [docs, total] = await Promise.all([
-      prisma.document.findMany({
-        where,
-        orderBy,
-        skip,
-        take: limitNum,
-      }),
-      prisma.document.count({ where }),
-    ]);
+    // Tags are personal, so only the caller's own tags are returned
+    const include = { ...documentTagsInclude(currentUserId), folder: { select: { id: true, name: true } } };
+    let docs;
+    let total;
+    if (sort === 'relevance' && contentHits) {
+      // Full-text rank only exists outside Prisma, so the (<= 1000) content matches are sorted
+      // here; title-only matches (searchIn=all) follow them, paged in SQL, newest first
+      const hitIds = [...contentHits.keys()];
+      const rankOf = doc => contentHits.get(doc.id).rank;
+      const otherWhere = { AND: [where, { id: { notIn: hitIds } }] };
+      const [ranked, otherTotal] = await Promise.all([
+        prisma.document.findMany({ where: { AND: [where, { id: { in: hitIds } }] }, orderBy, include }),
+        prisma.document.count({ where: otherWhere }),
+      ]);
+      ranked.sort((a, b) => rankOf(a) - rankOf(b));
+      total = ranked.length + otherTotal;
+      docs = ranked.slice(skip, skip + limitNum);
+      if (docs.length < limitNum && otherTotal > 0) {
+        docs = docs.concat(await prisma.document.findMany({
+          where: otherWhere,
+          orderBy,
+          skip: Math.max(0, skip - ranked.length),
+          take: limitNum - docs.length,
+          include,
+        }));
+      }
+    } else {
+      [docs, total] = await Promise.all([
+        prisma.document.findMany({
+          where,
+          orderBy,
+          skip,
+          take: limitNum,
+          include,
+        }),
+        prisma.document.count({ where }),
+      ]);
+    }
+
+    // Content matches carry a highlighted snippet and how many times the query matched
+    if (contentHits) {
+      const matchedIds = docs.filter(d => contentHits.has(d.id)).map(d => d.id);
+      const counts = await countContentMatches(String(search), matchedIds);
+      docs = docs.map(doc => (contentHits.has(doc.id)
+        ? { ...doc, match: { snippet: contentHits.get(doc.id).snippet, count: counts.get(doc.id) ?? 0 } }
+        : doc));
+    }
+
+    // Caller's role on each document (owner, or the role it was shared with)
+    const shares = await prisma.documentShare.findMany({
+      where: { userId: currentUserId, documentId: { in: docs.map(d => d.id) } },
+      select: { documentId: true, role: true },
+    });
+    const sharedRoles = new Map(shares.map(s => [s.documentId, s.role]));
+    docs = docs.map(doc => ({
+      ...withTagList(doc),
+      // folders belong to the owner, so other users don't see them
+      folderId: doc.userId === currentUserId ? doc.folderId : null,
+      folder: doc.userId === currentUserId ? doc.folder : null,
+      role: doc.userId === currentUserId ? 'owner' : sharedRoles.get(doc.id),
+      ...(view === 'trash' ? { trashExpiresAt: trashExpiresAt(doc) } : {}),
+    }));
 
     const totalPages = Math.max(1, Math.ceil(total / limitNum));
+    await recordAudit(req, 'document.list', { details: { view, search: search || null, searchIn, page: pageNum, total } });
 
     return res.json({
       data: docs,
@@ -111,24 +305,64 @@ export async function getDocuments(req, res) {
 // ------------------------------------------- GET DOCUMENT BY ID -------------------------------------------
 export async function getDocumentById(req, res) {
   try {
-    const id = Number(req.params.id);
-    if (!Number.isFinite(id)) {
-      return res.status(400).json({ error: 'Invalid document id' });
-    }
+    const access = await getDocumentAccess(req.user, req.params.id, 'viewer', 'view');
+    if (access.error) return res.status(access.status).json({ error: access.error });
+
+    const isOwner = access.role === 'owner';
+    const [tags, breadcrumbs] = await Promise.all([
+      prisma.tag.findMany({
+        where: { userId: req.user.id, documents: { some: { documentId: access.document.id } } },
+        select: { id: true, name: true, color: true },
+        orderBy: { name: 'asc' },
+      }),
+      isOwner && access.document.folderId ? folderPath(req.user.id, access.document.folderId) : [],
+    ]);
+    await recordAudit(req, 'document.view', { document: access.document });
 
-    const doc = await prisma.document.findUnique({ where: { id } });
-    if (!doc) {
-      return res.status(404).json({ error: 'Document not found' });
-    }
+    return res.json({
+      ...access.document,
+      folderId: isOwner ? access.document.folderId : null,
+      folderPath: breadcrumbs,
+      tags,
+      role: access.role,
+    });
+  } catch (err) {
+    console.error('getDocumentById error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
 
-    // Ownership check
-    if (!req.user || req.user.id !== doc.userId) {
-      return res.status(403).json({ error: 'Not allowed to view this document' });
-    }
+// ------------------------------------------- DOWNLOAD / PREVIEW DOCUMENT -------------------------------------------
+// Replaces the old public /uploads static route: same access rules as the rest of the API
+async function sendDocumentFile(req, res, disposition) {
+  const access = await getDocumentAccess(req.user, req.params.id, 'viewer', 'download');
+  if (access.error) return res.status(access.status).json({ error: access.error });
+
+  const doc = access.document;
+  const action = disposition === 'inline' ? 'document.preview' : 'document.download';
+  return sendStoredFile(req, res, {
+    filePath: doc.filePath,
+    fileName: doc.originalName || `${doc.title}${path.extname(doc.filePath)}`,
+    sha256: doc.sha256,
+    disposition,
+    onStart: () => recordAudit(req, action, { document: doc }),
+  });
+}
 
-    return res.json(doc);
+export async function downloadDocument(req, res) {
+  try {
+    return await sendDocumentFile(req, res, 'attachment');
   } catch (err) {
-    console.error('getDocumentById error:', err);
+    console.error('downloadDocument error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+export async function previewDocument(req, res) {
+  try {
+    return await sendDocumentFile(req, res, 'inline');
+  } catch (err) {
+    console.error('previewDocument error:', err);
     return res.status(500).json({ error: 'Server error' });
   }
 }
@@ -136,45 +370,44 @@ export async function getDocumentById(req, res) {
 // ------------------------------------------- DUPLICATE DOCUMENT -------------------------------------------
 export async function duplicateDocument(req, res) {
   try {
-    const sourceId = Number(req.params.id);
-    if (!Number.isFinite(sourceId)) {
-      return res.status(400).json({ error: 'Invalid document id' });
-    }
-
-    const sourceDoc = await prisma.document.findUnique({ where: { id: sourceId } });
-    if (!sourceDoc) {
-      return res.status(404).json({ error: 'Source document not found' });
-    }
-
-    // Ownership check – only owner can duplicate
-    if (!req.user || req.user.id !== sourceDoc.userId) {
-      return res.status(403).json({ error: 'Not allowed to duplicate this document' });
-    }
-
-    const oldPath = path.isAbsolute(sourceDoc.filePath)
-      ? sourceDoc.filePath
-      : path.resolve(sourceDoc.filePath);
-
-    let newFilePath = sourceDoc.filePath;
-    if (fs.existsSync(oldPath)) {
-      const ext = path.extname(oldPath);
-      const baseName = path.basename(oldPath, ext);
-      const dirName = path.dirname(oldPath);
-      const newName = `${baseName}_copy_${Date.now()}${ext}`;
-      const newAbsPath = path.join(dirName, newName);
-
-      fs.copyFileSync(oldPath, newAbsPath);
-      newFilePath = newAbsPath;
-    }
+    const access = await getDocumentAccess(req.user, req.params.id, 'editor', 'duplicate');
+    if (access.error) return res.status(access.status).json({ error: access.error });
+    const sourceDoc = access.document;
 
     const duplicated = await prisma.document.create({
       data: {
         title: sourceDoc.title + ' (copy)',
-        filePath: newFilePath,
-        userId: sourceDoc.userId,
+        // same blob: the copy adds a reference instead of another file (see services/blobs.js)
+        filePath: sourceDoc.filePath,
+        originalName: sourceDoc.originalName,
+        sha256: sourceDoc.sha256,
+        mimeType: sourceDoc.mimeType,
+        size: sourceDoc.size,
+        pageCount: sourceDoc.pageCount,
+        // the owner's copy stays in the same folder; editors get theirs at the top level
+        folderId: sourceDoc.userId === req.user.id ? sourceDoc.folderId : null,
+        userId: req.user.id, // editors get their own copy
       },
     });
 
+    // Reuse the source's extracted text instead of parsing the copy again
+    const copied = sourceDoc.processingStatus === 'ready' ? await copyDocumentText(sourceDoc.id, duplicated.id) : null;
+
+    // The copy starts its own history at version 1
+    await recordVersion(duplicated.id, {
+      filePath: sourceDoc.filePath,
+      originalName: sourceDoc.originalName,
+      sha256: sourceDoc.sha256,
+      size: sourceDoc.size,
+      uploadedById: req.user.id,
+      text: copied?.content,
+    });
+    await recordAudit(req, 'document.duplicate', { document: sourceDoc, details: { copyId: duplicated.id } });
+
+    if (!copied) {
+      const job = await enqueueDocumentProcessing(duplicated, { userId: req.user.id });
+      return res.status(201).json({ ...duplicated, processingStatus: 'queued', job: serializeJob(job) });
+    }
     return res.status(201).json(duplicated);
   } catch (err) {
     console.error('duplicateDocument error:', err);
@@ -184,32 +417,35 @@ export async function duplicateDocument(req, res) {
 
 
 // ------------------------------------------- UPDATE DOCUMENT METADATA -------------------------------------------
+// Body: { title?, folderId? } – moving between folders is owner-only (folders belong to the owner)
 export async function updateDocumentMetadata(req, res) {
   try {
-    const id = Number(req.params.id);
-    if (!Number.isFinite(id)) {
-      return res.status(400).json({ error: 'Invalid document id' });
+    const { title, folderId } = req.body;
+    if (title === undefined && folderId === undefined) {
+      return res.status(400).json({ error: 'Nothing to update; send title and/or folderId' });
     }
-
-    const { title } = req.body;
-    if (!title || typeof title !== 'string') {
-      return res.status(400).json({ error: 'Title is required and must be a string' });
+    if (title !== undefined && (!title || typeof title !== 'string')) {
+      return res.status(400).json({ error: 'Title must be a non-empty string' });
     }
 
-    const existing = await prisma.document.findUnique({ where: { id } });
-    if (!existing) {
-      return res.status(404).json({ error: 'Document not found' });
-    }
+    const required = folderId !== undefined ? 'owner' : 'editor';
+    const access = await getDocumentAccess(req.user, req.params.id, required, folderId !== undefined ? 'move' : 'update');
+    if (access.error) return res.status(access.status).json({ error: access.error });
 
-    // Ownership check
-    if (!req.user || req.user.id !== existing.userId) {
-      return res.status(403).json({ error: 'Not allowed to update this document' });
+    const data = {};
+    if (title !== undefined) data.title = title;
+    if (folderId !== undefined) {
+      const folder = await resolveFolderId(req.user.id, folderId);
+      if (folder.error) return res.status(folder.status).json({ error: folder.error });
+      data.folderId = folder.folderId;
     }
 
     const updated = await prisma.document.update({
-      where: { id },
-      data: { title },
+      where: { id: access.document.id },
+      data,
     });
+    const changes = Object.fromEntries(Object.keys(data).map(field => [field, { from: access.document[field], to: updated[field] }]));
+    await recordAudit(req, 'document.update', { document: access.document, details: changes });
 
     return res.json(updated);
   } catch (err) {
@@ -219,49 +455,85 @@ export async function updateDocumentMetadata(req, res) {
 }
 
 
+// ------------------------------------------- SET DOCUMENT TAGS -------------------------------------------
+// PUT /:id/tags { tags: [names] } – replaces the caller's own tags on the document
+export async function setDocumentTags(req, res) {
+  try {
+    const parsed = parseTagNames(req.body.tags);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+    const access = await getDocumentAccess(req.user, req.params.id, 'viewer', 'tag');
+    if (access.error) return res.status(access.status).json({ error: access.error });
+
+    const tags = await ensureTags(req.user.id, parsed.names);
+    await prisma.$transaction([
+      prisma.documentTag.deleteMany({
+        where: { documentId: access.document.id, tag: { userId: req.user.id }, tagId: { notIn: tags.map(t => t.id) } },
+      }),
+      ...tags.map(tag => prisma.documentTag.upsert({
+        where: { documentId_tagId: { documentId: access.document.id, tagId: tag.id } },
+        create: { documentId: access.document.id, tagId: tag.id },
+        update: {},
+      })),
+    ]);
+
+    await recordAudit(req, 'document.tag', { document: access.document, details: { tags: parsed.names } });
+
+    return res.json({
+      documentId: access.document.id,
+      tags: tags.map(({ id, name, color }) => ({ id, name, color })),
+    });
+  } catch (err) {
+    console.error('setDocumentTags error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+
 // ------------------------------------------- UPDATE DOCUMENT FILE -------------------------------------------
 export async function updateDocumentFile(req, res) {
   try {
-    const id = Number(req.params.id);
-    if (!Number.isFinite(id)) {
-      return res.status(400).json({ error: 'Invalid document id' });
-    }
-
     if (!req.file) {
       return res.status(400).json({ error: 'File is required' });
     }
 
-    const existing = await prisma.document.findUnique({ where: { id } });
-    if (!existing) {
-      return res.status(404).json({ error: 'Document not found' });
+    const access = await getDocumentAccess(req.user, req.params.id, 'editor', 'update the file of');
+    if (access.error) {
+      discardUpload(req.file);
+      return res.status(access.status).json({ error: access.error });
     }
+    const id = access.document.id;
 
-    // Ownership check
-    if (!req.user || req.user.id !== existing.userId) {
-      return res.status(403).json({ error: 'Not allowed to update this document file' });
-    }
-
-    // Remove old file if it exists
-    try {
-      const oldAbsolutePath = path.isAbsolute(existing.filePath)
-        ? existing.filePath
-        : path.resolve(existing.filePath);
-
-      if (fs.existsSync(oldAbsolutePath)) {
-        fs.unlinkSync(oldAbsolutePath);
-      }
-    } catch (e) {
-      console.warn('updateDocumentFile: failed to remove old file', e);
-    }
+    const upload = await processUpload(req.file, { userId: req.user.id });
+    if (!upload.ok) return res.status(upload.status).json(upload.body);
 
+    // The old file is kept on disk as a previous version
     const updated = await prisma.document.update({
       where: { id },
       data: {
-        filePath: req.file.path,
+        filePath: upload.filePath,
+        originalName: upload.originalName,
+        sha256: upload.sha256,
+        mimeType: upload.format.mime,
+        size: upload.size,
       },
     });
 
-    return res.json(updated);
+    // Text extraction runs in the worker; the version's text snapshot is filled in there
+    const version = await recordVersion(updated.id, {
+      filePath: upload.filePath,
+      originalName: upload.originalName,
+      sha256: upload.sha256,
+      size: upload.size,
+      uploadedById: req.user.id,
+    });
+    const job = await enqueueDocumentProcessing({ ...updated, currentVersion: version.version }, { userId: req.user.id });
+    await recordAudit(req, 'document.replace', {
+      document: access.document,
+      details: { version: version.version, originalName: upload.originalName, sha256: upload.sha256, size: upload.size },
+    });
+
+    return sendAccepted(res, { ...updated, currentVersion: version.version, processingStatus: 'queued' }, job);
   } catch (err) {
     console.error('updateDocumentFile error:', err);
     return res.status(500).json({ error: 'Server error' });
@@ -270,32 +542,18 @@ export async function updateDocumentFile(req, res) {
 
 
 // ------------------------------------------- DELETE DOCUMENT -------------------------------------------
+// Moves the document to the owner's trash; files and rows stay until it is purged
 export async function deleteDocument(req, res) {
   try {
-    const { id } = req.params;
-    const docId = Number(id);
-    if (!Number.isFinite(docId)) return res.status(400).json({ error: 'Invalid document id' });
-
-    const doc = await prisma.document.findUnique({ where: { id: docId } });
-    if (!doc) return res.status(404).json({ error: 'Document not found' });
-
-    // Ownership check
-    if (!req.user || req.user.id !== doc.userId) {
-      return res.status(403).json({ error: 'Not allowed to delete this document' });
-    }
+    // Only the owner can delete; shares and links stop working while it is in the trash
+    const access = await getDocumentAccess(req.user, req.params.id, 'owner', 'delete');
+    if (access.error) return res.status(access.status).json({ error: access.error });
 
-    // Try to remove file from disk
-    try {
-      const absolutePath = path.isAbsolute(doc.filePath) ? doc.filePath : path.resolve(doc.filePath);
-      if (fs.existsSync(absolutePath)) {
-        fs.unlinkSync(absolutePath);
-      }
-    } catch (e) {
-      // Log and proceed — we still delete DB record
-      console.warn('deleteDocument: failed to remove file', e);
-    }
-
-    await prisma.document.delete({ where: { id: docId } });
+    await prisma.document.update({
+      where: { id: access.document.id },
+      data: { deletedAt: new Date() },
+    });
+    await recordAudit(req, 'document.delete', { document: access.document });
     return res.status(204).send();
   } catch (err) {
     console.error('deleteDocument error:', err);
@@ -312,42 +570,24 @@ export async function bulkDeleteDocuments(req, res) {
       return res.status(400).json({ error: 'ids array is required' });
     }
 
-    const docIds = ids.map(Number).filter(Number.isFinite);
+    const docIds = [...new Set(ids.map(Number).filter(Number.isFinite))];
     if (docIds.length === 0) {
       return res.status(400).json({ error: 'No valid document ids provided' });
     }
 
-    // Fetch documents to check ownership and clean up files
-    const docs = await prisma.document.findMany({
-      where: { id: { in: docIds } },
-    });
-
     // Only allow deletion of docs owned by this user
-    const ownedDocs = docs.filter(d => d.userId === req.user?.id);
-    const ownedIds = ownedDocs.map(d => d.id);
+    const { accessible } = await filterAccessibleDocuments(req.user.id, docIds, 'owner');
+    const ownedIds = accessible.map(d => d.id);
 
     if (ownedIds.length === 0) {
       return res.status(403).json({ error: 'No documents owned by you in the given ids' });
     }
 
-    // Delete files from disk
-    for (const doc of ownedDocs) {
-      try {
-        const absolutePath = path.isAbsolute(doc.filePath)
-          ? doc.filePath
-          : path.resolve(doc.filePath);
-        if (fs.existsSync(absolutePath)) {
-          fs.unlinkSync(absolutePath);
-        }
-      } catch (e) {
-        console.warn('bulkDeleteDocuments: failed to remove file for doc', doc.id, e);
-      }
-    }
-
-    // Delete from DB
-    await prisma.document.deleteMany({
+    await prisma.document.updateMany({
       where: { id: { in: ownedIds } },
+      data: { deletedAt: new Date() },
     });
+    await recordAudit(req, 'document.delete', { documents: accessible, details: { bulk: true } });
 
     return res.status(204).send();
   } catch (err) {
@@ -357,22 +597,283 @@ export async function bulkDeleteDocuments(req, res) {
 }
 
 
+// ------------------------------------------- RESTORE FROM TRASH -------------------------------------------
+export async function restoreDocument(req, res) {
+  try {
+    const access = await getDocumentAccess(req.user, req.params.id, 'owner', 'restore', { trashed: true });
+    if (access.error) return res.status(access.status).json({ error: access.error });
+
+    const restored = await prisma.document.update({
+      where: { id: access.document.id },
+      data: { deletedAt: null },
+    });
+    await recordAudit(req, 'document.restore', { document: access.document });
+    return res.json(restored);
+  } catch (err) {
+    console.error('restoreDocument error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+// POST /bulk/restore { ids }
+export async function bulkRestoreDocuments(req, res) {
+  try {
+    const { ids } = req.body;
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ error: 'ids array is required' });
+    }
+
+    const docIds = [...new Set(ids.map(Number).filter(Number.isFinite))];
+    const { accessible, skipped } = await filterAccessibleDocuments(req.user.id, docIds, 'owner', { trashed: true });
+    const restoredIds = accessible.map(d => d.id);
+
+    if (restoredIds.length) {
+      await prisma.document.updateMany({
+        where: { id: { in: restoredIds } },
+        data: { deletedAt: null },
+      });
+    }
+    await recordAudit(req, 'document.restore', { documents: accessible, details: { bulk: true } });
+
+    return res.json({ updated: restoredIds, skipped });
+  } catch (err) {
+    console.error('bulkRestoreDocuments error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+
+// ------------------------------------------- PERMANENT DELETE -------------------------------------------
+// Only documents already in the trash can be removed for good
+export async function permanentlyDeleteDocument(req, res) {
+  try {
+    const access = await getDocumentAccess(req.user, req.params.id, 'owner', 'delete', { trashed: true });
+    if (access.error) return res.status(access.status).json({ error: access.error });
+
+    await purgeDocuments([access.document]);
+    await recordAudit(req, 'document.purge', { document: access.document });
+    return res.status(204).send();
+  } catch (err) {
+    console.error('permanentlyDeleteDocument error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+// DELETE /trash { ids? } – removes the given trashed documents, or the whole trash without ids
+export async function emptyTrash(req, res) {
+  try {
+    const { ids } = req.body || {};
+    if (ids !== undefined && (!Array.isArray(ids) || ids.length === 0)) {
+      return res.status(400).json({ error: 'ids must be a non-empty array (omit it to empty the trash)' });
+    }
+
+    let documents;
+    let skipped = [];
+    if (ids) {
+      const docIds = [...new Set(ids.map(Number).filter(Number.isFinite))];
+      ({ accessible: documents, skipped } = await filterAccessibleDocuments(req.user.id, docIds, 'owner', { trashed: true }));
+    } else {
+      documents = await prisma.document.findMany({ where: { userId: req.user.id, deletedAt: { not: null } } });
+    }
+
+    const purged = await purgeDocuments(documents);
+    await recordAudit(req, 'document.purge', { documents, details: { bulk: true } });
+    return res.json({ deleted: documents.map(d => d.id), skipped, files: purged.files });
+  } catch (err) {
+    console.error('emptyTrash error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+
+// ------------------------------------------- BULK MOVE DOCUMENTS -------------------------------------------
+// POST /bulk/move { ids, folderId } – folderId null moves to the top level; only owned documents move
+export async function bulkMoveDocuments(req, res) {
+  try {
+    const { ids, folderId } = req.body;
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ error: 'ids array is required' });
+    }
+    if (folderId === undefined) {
+      return res.status(400).json({ error: 'folderId is required (null for the top level)' });
+    }
+
+    const folder = await resolveFolderId(req.user.id, folderId);
+    if (folder.error) return res.status(folder.status).json({ error: folder.error });
+
+    const docIds = [...new Set(ids.map(Number).filter(Number.isFinite))];
+    const { accessible, skipped } = await filterAccessibleDocuments(req.user.id, docIds, 'owner');
+    const movedIds = accessible.map(d => d.id);
+
+    if (movedIds.length) {
+      await prisma.document.updateMany({
+        where: { id: { in: movedIds } },
+        data: { folderId: folder.folderId },
+      });
+    }
+    await recordAudit(req, 'document.move', { documents: accessible, details: { bulk: true, folderId: folder.folderId } });
+
+    return res.json({ folderId: folder.folderId, updated: movedIds, skipped });
+  } catch (err) {
+    console.error('bulkMoveDocuments error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+
+// ------------------------------------------- BULK TAG DOCUMENTS -------------------------------------------
+// POST /bulk/tags { ids, add?: [names], remove?: [names] } – works on any document the caller can view
+export async function bulkTagDocuments(req, res) {
+  try {
+    const { ids, add = [], remove = [] } = req.body;
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ error: 'ids array is required' });
+    }
+    const toAdd = parseTagNames(add, 'add');
+    const toRemove = parseTagNames(remove, 'remove');
+    const problem = toAdd.error || toRemove.error;
+    if (problem) return res.status(400).json({ error: problem });
+    if (!toAdd.names.length && !toRemove.names.length) {
+      return res.status(400).json({ error: 'add or remove must name at least one tag' });
+    }
+
+    const docIds = [...new Set(ids.map(Number).filter(Number.isFinite))];
+    const { accessible, skipped } = await filterAccessibleDocuments(req.user.id, docIds, 'viewer');
+    const updatedIds = accessible.map(d => d.id);
+
+    if (updatedIds.length) {
+      const tags = await ensureTags(req.user.id, toAdd.names);
+      await prisma.$transaction([
+        prisma.documentTag.deleteMany({
+          where: { documentId: { in: updatedIds }, tag: { userId: req.user.id, name: { in: toRemove.names } } },
+        }),
+        ...updatedIds.flatMap(documentId => tags.map(tag => prisma.documentTag.upsert({
+          where: { documentId_tagId: { documentId, tagId: tag.id } },
+          create: { documentId, tagId: tag.id },
+          update: {},
+        }))),
+      ]);
+    }
+
+    await recordAudit(req, 'document.tag', { documents: accessible, details: { bulk: true, added: toAdd.names, removed: toRemove.names } });
+
+    return res.json({ added: toAdd.names, removed: toRemove.names, updated: updatedIds, skipped });
+  } catch (err) {
+    console.error('bulkTagDocuments error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+
+// ------------------------------------------- BULK RENAME DOCUMENTS -------------------------------------------
+// POST /bulk/rename { updates: [{ id, title }] } – retitles every document the caller can edit;
+// the rest are reported in skipped
+export async function bulkRenameDocuments(req, res) {
+  try {
+    const { updates } = req.body;
+    if (!Array.isArray(updates) || updates.length === 0) {
+      return res.status(400).json({ error: 'updates array is required' });
+    }
+    const titles = new Map();
+    for (const update of updates) {
+      const id = Number(update?.id);
+      if (!Number.isFinite(id)) return res.status(400).json({ error: 'Every update needs a numeric id' });
+      if (!update.title || typeof update.title !== 'string') {
+        return res.status(400).json({ error: `Title must be a non-empty string (document ${id})` });
+      }
+      if (titles.has(id)) return res.status(400).json({ error: `Document ${id} is listed more than once` });
+      titles.set(id, update.title);
+    }
+
+    const { accessible, skipped } = await filterAccessibleDocuments(req.user.id, [...titles.keys()], 'editor');
+    const renamedIds = accessible.map(d => d.id);
+
+    if (renamedIds.length) {
+      await prisma.$transaction(
+        accessible.map(doc => prisma.document.update({ where: { id: doc.id }, data: { title: titles.get(doc.id) } }))
+      );
+    }
+    for (const doc of accessible) {
+      await recordAudit(req, 'document.update', {
+        document: doc,
+        details: { bulk: true, title: { from: doc.title, to: titles.get(doc.id) } },
+      });
+    }
+
+    return res.json({ updated: renamedIds, skipped });
+  } catch (err) {
+    console.error('bulkRenameDocuments error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+
 // ------------------------------------------- UPLOAD DOCUMENT -------------------------------------------
+// Creates the document (version 1 + processing job) for a file that passed processUpload()
+async function createUploadedDocument(req, upload, { title, folderId, tagNames }) {
+  const tags = await ensureTags(req.user.id, tagNames);
+  const doc = await prisma.document.create({
+    data: {
+      title: title || path.basename(upload.originalName, path.extname(upload.originalName)).slice(0, 200),
+      filePath: upload.filePath,
+      originalName: upload.originalName,
+      sha256: upload.sha256,
+      mimeType: upload.format.mime,
+      size: upload.size,
+      folderId,
+      userId: req.user.id,
+      tags: { create: tags.map(tag => ({ tagId: tag.id })) },
+    },
+  });
+
+  await recordVersion(doc.id, {
+    filePath: upload.filePath,
+    originalName: upload.originalName,
+    sha256: upload.sha256,
+    size: upload.size,
+    uploadedById: req.user.id,
+  });
+  // Extraction/indexing happens in the worker; poll the job or the document's processingStatus
+  const job = await enqueueDocumentProcessing(doc, { userId: req.user.id });
+  await recordAudit(req, 'document.upload', {
+    document: doc,
+    details: { originalName: upload.originalName, sha256: upload.sha256, size: upload.size },
+  });
+  return { doc, job };
+}
+
+// Optional multipart fields shared by single and bulk uploads: folderId and tags (comma-separated)
+async function parseUploadFields(req) {
+  let folderId = null;
+  if (req.body.folderId) {
+    const folder = await resolveFolderId(req.user.id, req.body.folderId);
+    if (folder.error) return folder;
+    folderId = folder.folderId;
+  }
+  const tagNames = parseTagNames(typeof req.body.tags === 'string' ? req.body.tags.split(',').filter(t => t.trim()) : []);
+  if (tagNames.error) return { status: 400, error: tagNames.error };
+  return { folderId, tagNames: tagNames.names };
+}
+
 export async function uploadDocument(req, res) {
   try {
-    const { title, userId } = req.body;
     if (!req.file) return res.status(400).json({ error: 'File required' });
-    const ownerId = userId ? Number(userId) : null;
 
-    const doc = await prisma.document.create({
-      data: {
-        title,
-        filePath: req.file.path,
-        userId: ownerId, // if nullable in DB; else require userId
-      },
-    });
+    const fields = await parseUploadFields(req);
+    if (fields.error) {
+      discardUpload(req.file);
+      return res.status(fields.status).json({ error: fields.error });
+    }
+
+    const upload = await processUpload(req.file, { userId: req.user.id });
+    if (!upload.ok) return res.status(upload.status).json(upload.body);
 
-    res.status(201).json(doc);
+    // Owner always comes from the token; a client-supplied userId is ignored
+    const title = typeof req.body.title === 'string' && req.body.title.trim() ? req.body.title.trim().slice(0, 200) : null;
+    const { doc, job } = await createUploadedDocument(req, upload, { ...fields, title });
+
+    const saved = await prisma.document.findUnique({ where: { id: doc.id }, include: documentTagsInclude(req.user.id) });
+    sendAccepted(res, withTagList(saved), job);
   } catch (err) {
     console.error('uploadDocument error:', err);
     res.status(500).json({ error: 'Server error' });
@@ -380,83 +881,413 @@ export async function uploadDocument(req, res) {
 }
 
 
+// ------------------------------------------- BULK UPLOAD -------------------------------------------
+// POST /bulk/upload (multipart: files[], folderId?, tags?) – every file becomes a document and
+// .zip files are unpacked into one document per supported entry. Responds 202 with per-file
+// results: created [{ file, document, job }] and failed [{ file, status, error }]; `file` is
+// "archive.zip/inner/path.pdf" for archive entries. 422 when nothing could be created.
+export async function bulkUploadDocuments(req, res) {
+  const files = req.files || [];
+  // Archives are unpacked in place of the uploaded file; entries keep the archive name as a prefix
+  const queue = [];
+  try {
+    const failed = (req.rejectedFiles || []).map(rejected => ({ ...rejected, file: sanitizeFilename(rejected.file) }));
+    if (!files.length && !failed.length) return res.status(400).json({ error: 'At least one file is required' });
+
+    const fields = await parseUploadFields(req);
+    if (fields.error) {
+      files.forEach(discardUpload);
+      return res.status(fields.status).json({ error: fields.error });
+    }
+
+    for (const file of files) {
+      const name = sanitizeFilename(file.originalname);
+      if (path.extname(name).toLowerCase() !== '.zip') {
+        queue.push({ file, name });
+        continue;
+      }
+      const unpacked = await unpackZip(file.path);
+      discardUpload(file);
+      if (unpacked.error) {
+        failed.push({ file: name, status: unpacked.status, error: unpacked.error });
+        continue;
+      }
+      for (const entry of unpacked.skipped) failed.push({ file: `${name}/${entry.entry}`, status: entry.status, error: entry.error });
+      for (const entry of unpacked.files) queue.push({ file: entry, name: `${name}/${entry.entry}` });
+    }
+
+    const created = [];
+    while (queue.length) {
+      const { file, name } = queue.shift();
+      try {
+        const upload = await processUpload(file, { userId: req.user.id });
+        if (!upload.ok) {
+          failed.push({ file: name, status: upload.status, ...upload.body });
+          continue;
+        }
+        const { doc, job } = await createUploadedDocument(req, upload, fields);
+        created.push({ file: name, document: { ...doc, processingStatus: 'queued' }, job: serializeJob(job) });
+      } catch (e) {
+        console.error('bulkUploadDocuments: file failed', name, e);
+        discardUpload(file);
+        failed.push({ file: name, status: 500, error: 'Server error' });
+      }
+    }
+
+    if (!created.length) return res.status(422).json({ error: 'No documents could be created', created, failed });
+    return res.status(202).json({ created, failed });
+  } catch (err) {
+    console.error('bulkUploadDocuments error:', err);
+    files.forEach(discardUpload);
+    queue.forEach(({ file }) => discardUpload(file));
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+
+// ------------------------------------------- BULK DOWNLOAD -------------------------------------------
+// POST /bulk/download { ids } – streams a ZIP with the current file of every document the caller
+// can view; ids that are not accessible (or whose file is missing) are listed in X-Skipped-Ids
+const MAX_DOCUMENTS_PER_ARCHIVE = 200;
+
+export async function bulkDownloadDocuments(req, res) {
+  try {
+    const { ids } = req.body;
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ error: 'ids array is required' });
+    }
+    const docIds = [...new Set(ids.map(Number).filter(Number.isFinite))];
+    if (docIds.length > MAX_DOCUMENTS_PER_ARCHIVE) {
+      return res.status(400).json({ error: `At most ${MAX_DOCUMENTS_PER_ARCHIVE} documents can be downloaded at once` });
+    }
+
+    const { accessible, skipped } = await filterAccessibleDocuments(req.user.id, docIds, 'viewer');
+    const storage = getStorage();
+    const documents = [];
+    for (const doc of accessible) {
+      if (await storage.stat(doc.filePath)) documents.push(doc);
+      else skipped.push(doc.id);
+    }
+    if (documents.length === 0) {
+      return res.status(403).json({ error: 'No documents accessible to you in the given ids', skipped });
+    }
+
+    const names = archiveEntryNames(documents);
+    const archive = await createZipStream(documents.map((doc, i) => ({ name: names[i], key: doc.filePath })));
+    await recordAudit(req, 'document.download', { documents, details: { bulk: true } });
+
+    const day = new Date().toISOString().slice(0, 10);
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': contentDisposition('attachment', `documents-${day}.zip`),
+      'Cache-Control': 'private, no-store',
+      'X-Skipped-Ids': skipped.join(','),
+    });
+    archive.on('error', e => {
+      // headers are gone already; cutting the connection leaves the client with an incomplete file
+      console.error('bulkDownloadDocuments: archive failed', e);
+      res.destroy(e);
+    });
+    archive.pipe(res);
+  } catch (err) {
+    console.error('bulkDownloadDocuments error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
 
 // ------------------------------------------- ASK QUESTION -------------------------------------------
 export async function askQuestion(req, res) {
   try {
-    const { id } = req.params;
     const { question } = req.body;
     if (!question) return res.status(400).json({ error: 'Question is required' });
 
-    const document = await prisma.document.findUnique({ where: { id: Number(id) } });
-    if (!document) return res.status(404).json({ error: 'Document not found' });
+    const access = await getDocumentAccess(req.user, req.params.id, 'viewer', 'ask questions about');
+    if (access.error) return res.status(access.status).json({ error: access.error });
+    const { document } = access;
 
-    const absolutePath = path.isAbsolute(document.filePath)
-      ? document.filePath
-      : path.resolve(document.filePath);
+    const prepared = await prepareQuestion(document, question);
+    if (prepared.error) return res.status(prepared.status).json({ error: prepared.error });
 
-    if (!fs.existsSync(absolutePath)) {
-      return res.status(404).json({ error: 'File not found', path: absolutePath });
+    let result;
+    try {
+      result = await generate(prepared.prompt, { provider: req.body.provider, model: req.body.model });
+    } catch (e) {
+      if (e instanceof LlmError) {
+        console.warn('askQuestion: model error', e.provider, e.code, e.detail || '');
+        await recordAudit(req, 'document.ask', { document, outcome: 'failure', details: { provider: e.provider, code: e.code } });
+        return res.status(e.status).json(toErrorBody(e));
+      }
+      throw e;
     }
+    await recordAudit(req, 'document.ask', { document, details: modelDetails(result) });
+
+    res.json(buildAnswer(prepared, result));
+  } catch (err) {
+    console.error('askQuestion error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+
+// ------------------------------------------- ASK QUESTION (STREAMING) -------------------------------------------
+// Same as askQuestion, but answers over Server-Sent Events:
+//   event: start  { provider, chunks }   – before the model is called
+//   event: token  { text }               – each generated fragment
+//   event: done   { answer, citations, usage, ... } – same body as /ask
+//   event: error  { error, code, provider }
+export async function askQuestionStream(req, res) {
+  let stream;
+  try {
+    const { question } = req.body;
+    if (!question) return res.status(400).json({ error: 'Question is required' });
 
-    const stat = fs.statSync(absolutePath);
-    if (!stat || stat.size === 0) {
-      return res.status(422).json({ error: 'Uploaded file is empty' });
+    const access = await getDocumentAccess(req.user, req.params.id, 'viewer', 'ask questions about');
+    if (access.error) return res.status(access.status).json({ error: access.error });
+    const { document } = access;
+
+    const prepared = await prepareQuestion(document, question);
+    if (prepared.error) return res.status(prepared.status).json({ error: prepared.error });
+
+    stream = openEventStream(res);
+    stream.send('start', {
+      chunks: prepared.passages.map(p => ({ index: p.index, start: p.start, end: p.end, score: p.score })),
+    });
+
+    let result;
+    try {
+      result = await generateStream(prepared.prompt, {
+        provider: req.body.provider,
+        model: req.body.model,
+        signal: stream.signal,
+        onToken: text => stream.send('token', { text }),
+      });
+    } catch (e) {
+      if (e instanceof LlmError) {
+        // the 200 header is already out, so the quota use is handed back here
+        req.quota?.release();
+        // client went away – nothing left to tell it
+        if (e.code === 'aborted') return stream.close();
+        console.warn('askQuestionStream: model error', e.provider, e.code, e.detail || '');
+        await recordAudit(req, 'document.ask', {
+          document,
+          outcome: 'failure',
+          details: { stream: true, provider: e.provider, code: e.code },
+        });
+        stream.send('error', toErrorBody(e));
+        return stream.close();
+      }
+      throw e;
     }
+    await recordAudit(req, 'document.ask', { document, details: { stream: true, ...modelDetails(result) } });
 
-    const text = await extractText(absolutePath);
-    if (!text || !text.trim()) {
-      return res.status(422).json({
-        error: 'Unable to extract text. Ensure the document contains selectable text (not scanned images). If scanned, enable OCR or upload DOCX/PDF with text.'
+    stream.send('done', buildAnswer(prepared, result));
+    stream.close();
+  } catch (err) {
+    console.error('askQuestionStream error:', err);
+    if (!stream) return res.status(500).json({ error: 'Server error' });
+    req.quota?.release();
+    stream.send('error', { error: 'Server error' });
+    stream.close();
+  }
+}
+
+
+// ------------------------------------------- ASK ACROSS DOCUMENTS -------------------------------------------
+// Body: { question, ids?: number[], collectionId?: number }
+const MAX_DOCUMENTS_PER_QUESTION = 20;
+
+export async function askAcrossDocuments(req, res) {
+  try {
+    const { question, ids, collectionId } = req.body;
+    if (!question) return res.status(400).json({ error: 'Question is required' });
+
+    let docIds;
+    if (collectionId !== undefined) {
+      const collection = await prisma.collection.findUnique({
+        where: { id: Number(collectionId) },
+        include: { documents: { where: { document: { deletedAt: null } }, select: { documentId: true } } },
       });
+      if (!collection) return res.status(404).json({ error: 'Collection not found' });
+      if (!req.user || req.user.id !== collection.userId) {
+        return res.status(403).json({ error: 'Not allowed to access this collection' });
+      }
+      docIds = collection.documents.map(cd => cd.documentId);
+    } else {
+      if (!Array.isArray(ids) || ids.length === 0) {
+        return res.status(400).json({ error: 'ids array or collectionId is required' });
+      }
+      docIds = [...new Set(ids.map(Number).filter(Number.isFinite))];
+    }
+
+    if (docIds.length === 0) {
+      return res.status(400).json({ error: 'No valid document ids provided' });
+    }
+    if (docIds.length > MAX_DOCUMENTS_PER_QUESTION) {
+      return res.status(400).json({ error: `At most ${MAX_DOCUMENTS_PER_QUESTION} documents can be asked at once` });
+    }
+
+    // Only documents this user owns or has been shared are searched
+    const { accessible, skipped } = await filterAccessibleDocuments(req.user.id, docIds, 'viewer');
+    if (accessible.length === 0) {
+      return res.status(403).json({ error: 'No documents accessible to you in the given ids' });
+    }
+    const docs = accessible.sort((a, b) => a.uploadedAt - b.uploadedAt);
+    const inaccessible = skipped.map(id => ({ id, reason: 'Not found or not shared with you' }));
+
+    const prepared = await prepareMultiDocumentQuestion(docs, question);
+    if (prepared.error) {
+      return res.status(prepared.status).json({ error: prepared.error, skipped: [...inaccessible, ...prepared.skipped] });
     }
 
-    const MAX_CHARS = 20000;
-    const clipped = text.length > MAX_CHARS ? `${text.slice(0, MAX_CHARS)}\n\n[...truncated...]` : text;
-    const prompt = `Answer the question based on the following document:\n\n${clipped}\n\nQuestion: ${question}`;
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${process.env.GEMINI_API_KEY}`;
-    const payload = {
-      contents: [{ parts: [{ text: prompt }] }]
-    };
-
-    const requestOnce = () => {
-      const controller = new AbortController();
-      const timeout = setTimeout(() => controller.abort(), 20000);
-      return fetch(url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload),
-        signal: controller.signal
-      }).finally(() => clearTimeout(timeout));
-    };
-
-    let response;
+    let result;
     try {
-      response = await requestOnce();
-    } catch (e1) {
-      await new Promise(r => setTimeout(r, 800));
-      try {
-        response = await requestOnce();
-      } catch (e2) {
-        return res.status(503).json({
-          error: 'Upstream model is unreachable. Please try again shortly.',
-          detail: String(e2?.message || e2)
+      result = await generate(prepared.prompt, { provider: req.body.provider, model: req.body.model });
+    } catch (e) {
+      if (e instanceof LlmError) {
+        console.warn('askAcrossDocuments: model error', e.provider, e.code, e.detail || '');
+        await recordAudit(req, 'document.ask', {
+          documents: docs,
+          outcome: 'failure',
+          details: { documentIds: docs.map(d => d.id), provider: e.provider, code: e.code },
         });
+        return res.status(e.status).json(toErrorBody(e));
+      }
+      throw e;
+    }
+    // one event per document; documentIds ties them to the single model call
+    await recordAudit(req, 'document.ask', {
+      documents: docs,
+      details: { documentIds: docs.map(d => d.id), ...modelDetails(result) },
+    });
+
+    const answer = buildMultiDocumentAnswer(prepared, result);
+    res.json({ ...answer, skipped: [...inaccessible, ...answer.skipped] });
+  } catch (err) {
+    console.error('askAcrossDocuments error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+
+// ------------------------------------------- SUMMARY -------------------------------------------
+// GET /:id/summary?style=short|long|bullets&refresh=true&async=true – cached per document version;
+// the route reserves one use of the daily question quota, given back when the summary comes
+// from the cache, so only freshly generated ones count. With async=true a
+// cache miss is handed to the job queue (202 + job) instead of waiting for the model.
+export async function getDocumentSummary(req, res) {
+  try {
+    const { style = 'short', refresh } = req.query;
+    if (!Object.hasOwn(SUMMARY_STYLES, style)) {
+      return res.status(400).json({ error: `style must be one of: ${Object.keys(SUMMARY_STYLES).join(', ')}` });
+    }
+
+    const access = await getDocumentAccess(req.user, req.params.id, 'viewer', 'summarize');
+    if (access.error) return res.status(access.status).json({ error: access.error });
+
+    const forceRefresh = refresh === 'true' || refresh === '1';
+    if (!forceRefresh) {
+      const cached = await getSummary(access.document, style, { cacheOnly: true });
+      if (cached) {
+        req.quota?.release();
+        await recordAudit(req, 'document.summarize', { document: access.document, details: { style, cached: true } });
+        return res.json(cached);
       }
     }
 
-    let data;
+    const options = { refresh: forceRefresh, provider: req.query.provider, model: req.query.model };
+    if (req.query.async === 'true') {
+      const job = await enqueueJob(
+        'summary.generate',
+        { documentId: access.document.id, style, ...options },
+        { userId: req.user.id, documentId: access.document.id }
+      );
+      await recordAudit(req, 'document.summarize', { document: access.document, details: { style, jobId: job.id } });
+      return sendAccepted(res, { documentId: access.document.id, style }, job);
+    }
+
+    let summary;
+    const startedAt = Date.now();
     try {
-      data = await response.json();
+      summary = await getSummary(access.document, style, options);
     } catch (e) {
-      return res.status(502).json({ error: 'Invalid response from model endpoint' });
+      if (e instanceof LlmError) {
+        console.warn('getDocumentSummary: model error', e.provider, e.code, e.detail || '');
+        await recordAudit(req, 'document.summarize', {
+          document: access.document,
+          outcome: 'failure',
+          details: { style, provider: e.provider, code: e.code },
+        });
+        return res.status(e.status).json(toErrorBody(e));
+      }
+      throw e;
     }
-    if (!response.ok) return res.status(response.status).json({ error: data });
+    if (summary.error) return res.status(summary.status).json({ error: summary.error });
 
-    const answer = data.candidates?.[0]?.content?.parts?.[0]?.text || 'No answer';
-    res.json({ answer });
+    // another request may have generated it in the meantime
+    if (summary.cached) req.quota?.release();
+    await recordAudit(req, 'document.summarize', {
+      document: access.document,
+      details: { style, cached: summary.cached, ...modelDetails(summary), latencyMs: Date.now() - startedAt },
+    });
+    res.json(summary);
   } catch (err) {
-    console.error('askQuestion error:', err);
+    console.error('getDocumentSummary error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+
+// ------------------------------------------- EXTRACT FIELDS -------------------------------------------
+// POST /:id/extract { schema } – returns { data, missing, invalid, attempts, ... };
+// ?async=true queues it instead (202 + job, the result lands on the job)
+export async function extractDocumentFields(req, res) {
+  try {
+    const { schema } = req.body;
+    const problems = checkSchema(schema);
+    if (!problems.length && schema.type !== 'object') problems.push('$: the top-level schema must be an object');
+    if (problems.length) {
+      return res.status(400).json({ error: 'Invalid schema', problems });
+    }
+
+    const access = await getDocumentAccess(req.user, req.params.id, 'viewer', 'extract data from');
+    if (access.error) return res.status(access.status).json({ error: access.error });
+
+    if (req.query.async === 'true') {
+      const job = await enqueueJob(
+        'fields.extract',
+        { documentId: access.document.id, schema, provider: req.body.provider, model: req.body.model },
+        { userId: req.user.id, documentId: access.document.id }
+      );
+      await recordAudit(req, 'document.extract', { document: access.document, details: { jobId: job.id } });
+      return sendAccepted(res, { documentId: access.document.id }, job);
+    }
+
+    let result;
+    const startedAt = Date.now();
+    try {
+      result = await extractFields(access.document, schema, { provider: req.body.provider, model: req.body.model });
+    } catch (e) {
+      if (e instanceof LlmError) {
+        console.warn('extractDocumentFields: model error', e.provider, e.code, e.detail || '');
+        await recordAudit(req, 'document.extract', {
+          document: access.document,
+          outcome: 'failure',
+          details: { provider: e.provider, code: e.code },
+        });
+        return res.status(e.status).json(toErrorBody(e));
+      }
+      throw e;
+    }
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    await recordAudit(req, 'document.extract', {
+      document: access.document,
+      details: { attempts: result.attempts, ...modelDetails(result), latencyMs: Date.now() - startedAt },
+    });
+
+    res.json({ documentId: access.document.id, version: access.document.currentVersion, ...result });
+  } catch (err) {
+    console.error('extractDocumentFields error:', err);
     res.status(500).json({ error: 'Server error' });
   }
 }
@@ -0,0 +1,65 @@
+// src/controllers/exportController.js
+import { getDocumentAccess, hasRole } from '../services/access.js';
+import { contentDisposition } from '../services/fileResponse.js';
+import { buildReport, REPORT_FORMATS } from '../services/reports.js';
+import { SUMMARY_STYLES } from '../services/summaries.js';
+import { recordAudit } from '../services/audit.js';
+
+// ------------------------------------------- EXPORT REPORT -------------------------------------------
+// GET /:id/export?format=docx|pdf|md&conversationId=&summary=short|long|bullets|none
+// Q&A threads are only included for commenters and up (the same role that can open them).
+// A summary that hasn't been generated yet is left out and named in X-Summary-Omitted.
+export async function exportDocumentReport(req, res) {
+  try {
+    const { format = 'docx', summary = 'short' } = req.query;
+    const renderer = Object.hasOwn(REPORT_FORMATS, format) ? REPORT_FORMATS[format] : null;
+    if (!renderer) {
+      return res.status(400).json({ error: `format must be one of: ${Object.keys(REPORT_FORMATS).join(', ')}` });
+    }
+    if (summary !== 'none' && !Object.hasOwn(SUMMARY_STYLES, summary)) {
+      return res.status(400).json({ error: `summary must be one of: ${Object.keys(SUMMARY_STYLES).join(', ')}, none` });
+    }
+
+    let conversationId = null;
+    if (req.query.conversationId !== undefined) {
+      conversationId = Number(req.query.conversationId);
+      if (!Number.isInteger(conversationId)) return res.status(400).json({ error: 'Invalid conversation id' });
+    }
+
+    const access = await getDocumentAccess(req.user, req.params.id, 'viewer', 'export');
+    if (access.error) return res.status(access.status).json({ error: access.error });
+
+    const includeConversations = hasRole(access.role, 'commenter');
+    if (conversationId && !includeConversations) {
+      return res.status(403).json({ error: 'You need commenter access to export conversations' });
+    }
+
+    const report = await buildReport(access.document, {
+      userId: req.user.id,
+      conversationId,
+      summaryStyle: summary === 'none' ? null : summary,
+      includeConversations,
+    });
+    if (conversationId && !report.conversations.length) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const body = await renderer.render(report);
+    await recordAudit(req, 'document.export', {
+      document: access.document,
+      details: { format, summary, summaryOmitted: Boolean(report.summaryOmitted), conversations: report.conversations.length },
+    });
+    const baseName = access.document.title.replace(/[\\/:*?"<>|\x00-\x1f]+/g, '_').slice(0, 100) || 'document';
+    res.set({
+      'Content-Type': renderer.contentType,
+      'Content-Length': body.length,
+      'Content-Disposition': contentDisposition('attachment', `${baseName} - report.${renderer.extension}`),
+      'Cache-Control': 'private, no-store',
+    });
+    if (report.summaryOmitted) res.set('X-Summary-Omitted', report.summaryOmitted);
+    res.send(body);
+  } catch (err) {
+    console.error('exportDocumentReport error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
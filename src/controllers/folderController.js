@@ -0,0 +1,152 @@
+// src/controllers/folderController.js
+import { prisma } from '../prismaClient.js';
+import {
+  checkFolderName,
+  checkFolderMove,
+  folderNameTaken,
+  folderPath,
+  resolveFolderId,
+} from '../services/folders.js';
+
+// Resolves :id to a folder owned by the caller, or sends the error response and returns null
+async function loadOwnedFolder(req, res) {
+  const id = Number(req.params.id);
+  if (!Number.isFinite(id)) {
+    res.status(400).json({ error: 'Invalid folder id' });
+    return null;
+  }
+
+  const folder = await prisma.folder.findUnique({ where: { id } });
+  if (!folder || folder.userId !== req.user.id) {
+    res.status(404).json({ error: 'Folder not found' });
+    return null;
+  }
+  return folder;
+}
+
+// ------------------------------------------- LIST FOLDERS -------------------------------------------
+// Flat list of the caller's folders; clients build the tree from parentId
+export async function listFolders(req, res) {
+  try {
+    const folders = await prisma.folder.findMany({
+      where: { userId: req.user.id },
+      orderBy: [{ parentId: 'asc' }, { name: 'asc' }],
+      include: { _count: { select: { documents: { where: { deletedAt: null } }, children: true } } },
+    });
+
+    return res.json({
+      data: folders.map(({ _count, ...f }) => ({ ...f, documentCount: _count.documents, folderCount: _count.children })),
+    });
+  } catch (err) {
+    console.error('listFolders error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+// ------------------------------------------- CREATE FOLDER -------------------------------------------
+export async function createFolder(req, res) {
+  try {
+    const { name, parentId = null } = req.body;
+    const nameError = checkFolderName(name);
+    if (nameError) return res.status(400).json({ error: nameError });
+
+    const parent = await resolveFolderId(req.user.id, parentId);
+    if (parent.error) return res.status(parent.status).json({ error: parent.error });
+
+    const moveError = await checkFolderMove(req.user.id, null, parent.folderId);
+    if (moveError) return res.status(400).json({ error: moveError });
+    if (await folderNameTaken(req.user.id, parent.folderId, name.trim())) {
+      return res.status(409).json({ error: 'A folder with this name already exists here' });
+    }
+
+    const folder = await prisma.folder.create({
+      data: { name: name.trim(), parentId: parent.folderId, userId: req.user.id },
+    });
+    return res.status(201).json(folder);
+  } catch (err) {
+    console.error('createFolder error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+// ------------------------------------------- GET FOLDER -------------------------------------------
+export async function getFolder(req, res) {
+  try {
+    const folder = await loadOwnedFolder(req, res);
+    if (!folder) return;
+
+    const [children, documentCount, path] = await Promise.all([
+      prisma.folder.findMany({ where: { parentId: folder.id }, orderBy: { name: 'asc' } }),
+      prisma.document.count({ where: { folderId: folder.id, deletedAt: null } }),
+      folderPath(req.user.id, folder.id),
+    ]);
+
+    return res.json({ ...folder, path, children, documentCount });
+  } catch (err) {
+    console.error('getFolder error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+// ------------------------------------------- UPDATE FOLDER -------------------------------------------
+// Body: { name?, parentId? } – parentId null moves the folder to the top level
+export async function updateFolder(req, res) {
+  try {
+    const folder = await loadOwnedFolder(req, res);
+    if (!folder) return;
+
+    const { name, parentId } = req.body;
+    const data = {};
+    if (name !== undefined) {
+      const nameError = checkFolderName(name);
+      if (nameError) return res.status(400).json({ error: nameError });
+      data.name = name.trim();
+    }
+    if (parentId !== undefined) {
+      const parent = await resolveFolderId(req.user.id, parentId);
+      if (parent.error) return res.status(parent.status).json({ error: parent.error });
+      const moveError = await checkFolderMove(req.user.id, folder.id, parent.folderId);
+      if (moveError) return res.status(400).json({ error: moveError });
+      data.parentId = parent.folderId;
+    }
+
+    const targetParent = data.parentId !== undefined ? data.parentId : folder.parentId;
+    if (await folderNameTaken(req.user.id, targetParent, data.name ?? folder.name, folder.id)) {
+      return res.status(409).json({ error: 'A folder with this name already exists here' });
+    }
+
+    const updated = await prisma.folder.update({ where: { id: folder.id }, data });
+    return res.json(updated);
+  } catch (err) {
+    console.error('updateFolder error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+// ------------------------------------------- DELETE FOLDER -------------------------------------------
+// Documents and subfolders move up to the parent (or the top level); nothing else is deleted
+export async function deleteFolder(req, res) {
+  try {
+    const folder = await loadOwnedFolder(req, res);
+    if (!folder) return;
+
+    const children = await prisma.folder.findMany({ where: { parentId: folder.id } });
+    for (const child of children) {
+      if (await folderNameTaken(req.user.id, folder.parentId, child.name, folder.id)) {
+        return res.status(409).json({
+          error: `The parent folder already has a folder named "${child.name}"; rename or move it first`,
+        });
+      }
+    }
+
+    await prisma.$transaction([
+      prisma.document.updateMany({ where: { folderId: folder.id }, data: { folderId: folder.parentId } }),
+      prisma.folder.updateMany({ where: { parentId: folder.id }, data: { parentId: folder.parentId } }),
+      prisma.folder.delete({ where: { id: folder.id } }),
+    ]);
+    return res.status(204).send();
+  } catch (err) {
+    console.error('deleteFolder error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
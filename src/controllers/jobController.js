@@ -0,0 +1,117 @@
+// src/controllers/jobController.js
+import { prisma } from '../prismaClient.js';
+import { JOB_STATUSES, serializeJob, cancelJob, retryJob } from '../services/jobs.js';
+
+// Resolves :id to a job queued by the caller, or sends the error response and returns null
+async function loadOwnedJob(req, res) {
+  const id = Number(req.params.id);
+  if (!Number.isFinite(id)) {
+    res.status(400).json({ error: 'Invalid job id' });
+    return null;
+  }
+
+  const job = await prisma.job.findUnique({ where: { id } });
+  if (!job || job.userId !== req.user.id) {
+    res.status(404).json({ error: 'Job not found' });
+    return null;
+  }
+  return job;
+}
+
+// ------------------------------------------- LIST JOBS -------------------------------------------
+// ?status=&type=&documentId=&page=&limit= – newest first
+export async function listJobs(req, res) {
+  try {
+    const { status, type, documentId, page = '1', limit = '20' } = req.query;
+
+    let pageNum = parseInt(page, 10);
+    let limitNum = parseInt(limit, 10);
+    if (!Number.isFinite(pageNum) || pageNum < 1) pageNum = 1;
+    if (!Number.isFinite(limitNum) || limitNum < 1) limitNum = 1;
+    if (limitNum > 50) limitNum = 50;
+
+    const where = { userId: req.user.id };
+    if (status) {
+      if (!JOB_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${JOB_STATUSES.join(', ')}` });
+      }
+      where.status = status;
+    }
+    if (type) where.type = String(type);
+    if (documentId !== undefined) {
+      const id = Number(documentId);
+      if (!Number.isFinite(id)) return res.status(400).json({ error: 'Invalid document id' });
+      where.documentId = id;
+    }
+
+    const [jobs, total] = await Promise.all([
+      prisma.job.findMany({
+        where,
+        orderBy: { id: 'desc' },
+        skip: (pageNum - 1) * limitNum,
+        take: limitNum,
+      }),
+      prisma.job.count({ where }),
+    ]);
+
+    return res.json({
+      data: jobs.map(serializeJob),
+      page: pageNum,
+      limit: limitNum,
+      total,
+      totalPages: Math.max(1, Math.ceil(total / limitNum)),
+    });
+  } catch (err) {
+    console.error('listJobs error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+// ------------------------------------------- GET JOB -------------------------------------------
+// Poll target for 202 responses; Retry-After hints how long to wait while it is pending
+export async function getJob(req, res) {
+  try {
+    const job = await loadOwnedJob(req, res);
+    if (!job) return;
+
+    if (['queued', 'running'].includes(job.status)) res.set('Retry-After', '2');
+    return res.json(serializeJob(job));
+  } catch (err) {
+    console.error('getJob error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+// ------------------------------------------- CANCEL JOB -------------------------------------------
+export async function cancelQueuedJob(req, res) {
+  try {
+    const job = await loadOwnedJob(req, res);
+    if (!job) return;
+
+    if (!(await cancelJob(job))) {
+      return res.status(409).json({ error: `Only queued jobs can be cancelled (this one is ${job.status})` });
+    }
+    const updated = await prisma.job.findUnique({ where: { id: job.id } });
+    return res.json(serializeJob(updated));
+  } catch (err) {
+    console.error('cancelQueuedJob error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+// ------------------------------------------- RETRY JOB -------------------------------------------
+export async function retryFailedJob(req, res) {
+  try {
+    const job = await loadOwnedJob(req, res);
+    if (!job) return;
+
+    if (!(await retryJob(job.id))) {
+      return res.status(409).json({ error: `Only failed or cancelled jobs can be retried (this one is ${job.status})` });
+    }
+    const updated = await prisma.job.findUnique({ where: { id: job.id } });
+    return res.status(202).json(serializeJob(updated));
+  } catch (err) {
+    console.error('retryFailedJob error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
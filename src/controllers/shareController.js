@@ -0,0 +1,273 @@
+// src/controllers/shareController.js
+import path from 'path';
+import { prisma } from '../prismaClient.js';
+import { getDocumentAccess, SHARE_ROLES } from '../services/access.js';
+import { sendStoredFile } from '../services/fileResponse.js';
+import { recordAudit } from '../services/audit.js';
+import {
+  createShareLink as createLink,
+  resolveShareLink,
+  serializeShareLink,
+  DEFAULT_LINK_HOURS,
+  MAX_LINK_HOURS,
+} from '../services/shareLinks.js';
+
+const MIN_LINK_PASSWORD_LENGTH = 4;
+
+// Only the owner manages who a document is shared with
+async function loadOwnDocument(req, res) {
+  const access = await getDocumentAccess(req.user, req.params.id, 'owner', 'share');
+  if (access.error) {
+    res.status(access.status).json({ error: access.error });
+    return null;
+  }
+  return access.document;
+}
+
+function serializeShare(share) {
+  return {
+    userId: share.userId,
+    username: share.user?.username,
+    email: share.user?.email,
+    role: share.role,
+    createdAt: share.createdAt,
+    updatedAt: share.updatedAt,
+  };
+}
+
+// ------------------------------------------- LIST SHARES -------------------------------------------
+export async function listShares(req, res) {
+  try {
+    const doc = await loadOwnDocument(req, res);
+    if (!doc) return;
+
+    const shares = await prisma.documentShare.findMany({
+      where: { documentId: doc.id },
+      include: { user: { select: { username: true, email: true } } },
+      orderBy: { createdAt: 'asc' },
+    });
+    return res.json(shares.map(serializeShare));
+  } catch (err) {
+    console.error('listShares error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+// ------------------------------------------- SHARE WITH USER -------------------------------------------
+// PUT /:id/shares { user: username | email, role } – creates or changes the share
+export async function upsertShare(req, res) {
+  try {
+    const doc = await loadOwnDocument(req, res);
+    if (!doc) return;
+
+    const { user, userId, role } = req.body;
+    if (!SHARE_ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${SHARE_ROLES.join(', ')}` });
+    }
+    if (!user && userId === undefined) {
+      return res.status(400).json({ error: 'user (username or email) or userId is required' });
+    }
+
+    const target = userId !== undefined
+      ? await prisma.user.findUnique({ where: { id: Number(userId) } })
+      : await prisma.user.findFirst({ where: { OR: [{ username: String(user) }, { email: String(user) }] } });
+    if (!target) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (target.id === doc.userId) {
+      return res.status(400).json({ error: 'The owner already has full access' });
+    }
+
+    const share = await prisma.documentShare.upsert({
+      where: { documentId_userId: { documentId: doc.id, userId: target.id } },
+      create: { documentId: doc.id, userId: target.id, role, createdById: req.user.id },
+      update: { role },
+      include: { user: { select: { username: true, email: true } } },
+    });
+    return res.json(serializeShare(share));
+  } catch (err) {
+    console.error('upsertShare error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+// ------------------------------------------- REMOVE SHARE -------------------------------------------
+export async function removeShare(req, res) {
+  try {
+    const doc = await loadOwnDocument(req, res);
+    if (!doc) return;
+
+    const userId = Number(req.params.userId);
+    if (!Number.isFinite(userId)) {
+      return res.status(400).json({ error: 'Invalid user id' });
+    }
+
+    const { count } = await prisma.documentShare.deleteMany({ where: { documentId: doc.id, userId } });
+    if (!count) {
+      return res.status(404).json({ error: 'Share not found' });
+    }
+    return res.status(204).send();
+  } catch (err) {
+    console.error('removeShare error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+// ------------------------------------------- LIST SHARE LINKS -------------------------------------------
+export async function listShareLinks(req, res) {
+  try {
+    const doc = await loadOwnDocument(req, res);
+    if (!doc) return;
+
+    const links = await prisma.shareLink.findMany({
+      where: { documentId: doc.id },
+      orderBy: { createdAt: 'desc' },
+    });
+    return res.json(links.map(serializeShareLink));
+  } catch (err) {
+    console.error('listShareLinks error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+// ------------------------------------------- CREATE SHARE LINK -------------------------------------------
+// POST /:id/share-links { expiresInHours? | expiresAt?, password? }
+export async function createShareLink(req, res) {
+  try {
+    const doc = await loadOwnDocument(req, res);
+    if (!doc) return;
+
+    const { expiresInHours, expiresAt, password } = req.body;
+    const now = Date.now();
+    let expiry;
+    if (expiresAt !== undefined) {
+      expiry = new Date(expiresAt);
+      if (Number.isNaN(expiry.getTime())) {
+        return res.status(400).json({ error: 'expiresAt must be a valid date' });
+      }
+    } else {
+      const hours = expiresInHours === undefined ? DEFAULT_LINK_HOURS : Number(expiresInHours);
+      if (!Number.isFinite(hours) || hours <= 0) {
+        return res.status(400).json({ error: 'expiresInHours must be a positive number' });
+      }
+      expiry = new Date(now + hours * 3600 * 1000);
+    }
+    if (expiry.getTime() <= now) {
+      return res.status(400).json({ error: 'Expiry must be in the future' });
+    }
+    if (expiry.getTime() > now + MAX_LINK_HOURS * 3600 * 1000) {
+      return res.status(400).json({ error: `Links can be valid for at most ${MAX_LINK_HOURS} hours` });
+    }
+
+    if (password !== undefined && (typeof password !== 'string' || password.length < MIN_LINK_PASSWORD_LENGTH)) {
+      return res.status(400).json({ error: `password must be a string of at least ${MIN_LINK_PASSWORD_LENGTH} characters` });
+    }
+
+    const { link, token } = await createLink(doc.id, req.user.id, { expiresAt: expiry, password });
+    return res.status(201).json({
+      ...serializeShareLink(link),
+      token,
+      url: `/api/shared/${token}`,
+    });
+  } catch (err) {
+    console.error('createShareLink error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+// ------------------------------------------- REVOKE SHARE LINK -------------------------------------------
+export async function revokeShareLink(req, res) {
+  try {
+    const doc = await loadOwnDocument(req, res);
+    if (!doc) return;
+
+    const linkId = Number(req.params.linkId);
+    if (!Number.isFinite(linkId)) {
+      return res.status(400).json({ error: 'Invalid link id' });
+    }
+
+    const { count } = await prisma.shareLink.updateMany({
+      where: { id: linkId, documentId: doc.id, revokedAt: null },
+      data: { revokedAt: new Date() },
+    });
+    if (!count) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+    return res.status(204).send();
+  } catch (err) {
+    console.error('revokeShareLink error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+// ------------------------------------------- PUBLIC: VIEW SHARED DOCUMENT -------------------------------------------
+// No auth; password-protected links expect the X-Share-Password header
+async function loadSharedDocument(req, res) {
+  const shared = await resolveShareLink(req.params.token, req.get('x-share-password'));
+  if (shared.error) {
+    res.status(shared.status).json({ error: shared.error, ...(shared.code && { code: shared.code }) });
+    return null;
+  }
+  return shared;
+}
+
+export async function getSharedDocument(req, res) {
+  try {
+    const shared = await loadSharedDocument(req, res);
+    if (!shared) return;
+
+    const { document, link } = shared;
+    await recordAudit(req, 'document.view', { actor: null, document, details: { shareLinkId: link.id } });
+    return res.json({
+      id: document.id,
+      title: document.title,
+      originalName: document.originalName,
+      uploadedAt: document.uploadedAt,
+      currentVersion: document.currentVersion,
+      expiresAt: link.expiresAt,
+      download: `/api/shared/${req.params.token}/download`,
+      preview: `/api/shared/${req.params.token}/preview`,
+    });
+  } catch (err) {
+    console.error('getSharedDocument error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+// ------------------------------------------- PUBLIC: DOWNLOAD / PREVIEW SHARED DOCUMENT -------------------------------------------
+async function sendSharedFile(req, res, disposition) {
+  const shared = await loadSharedDocument(req, res);
+  if (!shared) return;
+
+  const { document, link } = shared;
+  return sendStoredFile(req, res, {
+    filePath: document.filePath,
+    fileName: document.originalName || path.basename(document.filePath),
+    sha256: document.sha256,
+    disposition,
+    // anonymous access: the link stands in for the actor
+    onStart: () => recordAudit(req, disposition === 'inline' ? 'document.preview' : 'document.download', {
+      actor: null,
+      document,
+      details: { shareLinkId: link.id },
+    }),
+  });
+}
+
+export async function downloadSharedDocument(req, res) {
+  try {
+    return await sendSharedFile(req, res, 'attachment');
+  } catch (err) {
+    console.error('downloadSharedDocument error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+export async function previewSharedDocument(req, res) {
+  try {
+    return await sendSharedFile(req, res, 'inline');
+  } catch (err) {
+    console.error('previewSharedDocument error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
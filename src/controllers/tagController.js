@@ -0,0 +1,105 @@
+// src/controllers/tagController.js
+import { prisma } from '../prismaClient.js';
+import { normalizeTagName, checkTagColor, MAX_TAG_LENGTH } from '../services/tags.js';
+
+// Returns an error message for an invalid tag name, or null
+function checkTagName(name) {
+  if (typeof name !== 'string' || !name.trim()) return 'Name is required and must be a string';
+  if (normalizeTagName(name).length > MAX_TAG_LENGTH) return `Name must be at most ${MAX_TAG_LENGTH} characters`;
+  return null;
+}
+
+// Resolves :id to a tag owned by the caller, or sends the error response and returns null
+async function loadOwnedTag(req, res) {
+  const id = Number(req.params.id);
+  if (!Number.isFinite(id)) {
+    res.status(400).json({ error: 'Invalid tag id' });
+    return null;
+  }
+
+  const tag = await prisma.tag.findUnique({ where: { id } });
+  if (!tag || tag.userId !== req.user.id) {
+    res.status(404).json({ error: 'Tag not found' });
+    return null;
+  }
+  return tag;
+}
+
+// ------------------------------------------- LIST TAGS -------------------------------------------
+export async function listTags(req, res) {
+  try {
+    const tags = await prisma.tag.findMany({
+      where: { userId: req.user.id },
+      orderBy: { name: 'asc' },
+      include: { _count: { select: { documents: { where: { document: { deletedAt: null } } } } } },
+    });
+
+    return res.json({
+      data: tags.map(({ _count, ...t }) => ({ ...t, documentCount: _count.documents })),
+    });
+  } catch (err) {
+    console.error('listTags error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+// ------------------------------------------- CREATE TAG -------------------------------------------
+export async function createTag(req, res) {
+  try {
+    const { name, color = null } = req.body;
+    const problem = checkTagName(name) || checkTagColor(color);
+    if (problem) return res.status(400).json({ error: problem });
+
+    const normalized = normalizeTagName(name);
+    const existing = await prisma.tag.findUnique({ where: { userId_name: { userId: req.user.id, name: normalized } } });
+    if (existing) return res.status(409).json({ error: 'Tag already exists', tag: existing });
+
+    const tag = await prisma.tag.create({ data: { name: normalized, color, userId: req.user.id } });
+    return res.status(201).json(tag);
+  } catch (err) {
+    console.error('createTag error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+// ------------------------------------------- UPDATE TAG -------------------------------------------
+// Body: { name?, color? } – renaming keeps the tag on all its documents
+export async function updateTag(req, res) {
+  try {
+    const tag = await loadOwnedTag(req, res);
+    if (!tag) return;
+
+    const { name, color } = req.body;
+    const problem = (name !== undefined && checkTagName(name)) || checkTagColor(color);
+    if (problem) return res.status(400).json({ error: problem });
+
+    const data = {};
+    if (color !== undefined) data.color = color;
+    if (name !== undefined) {
+      data.name = normalizeTagName(name);
+      const clash = await prisma.tag.findUnique({ where: { userId_name: { userId: req.user.id, name: data.name } } });
+      if (clash && clash.id !== tag.id) return res.status(409).json({ error: 'Tag already exists', tag: clash });
+    }
+
+    const updated = await prisma.tag.update({ where: { id: tag.id }, data });
+    return res.json(updated);
+  } catch (err) {
+    console.error('updateTag error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+// ------------------------------------------- DELETE TAG -------------------------------------------
+// Removes the tag from every document; the documents stay
+export async function deleteTag(req, res) {
+  try {
+    const tag = await loadOwnedTag(req, res);
+    if (!tag) return;
+
+    await prisma.tag.delete({ where: { id: tag.id } });
+    return res.status(204).send();
+  } catch (err) {
+    console.error('deleteTag error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
@@ -0,0 +1,196 @@
+// src/controllers/versionController.js
+import path from 'path';
+import { prisma } from '../prismaClient.js';
+import { enqueueDocumentProcessing } from '../services/documentJobs.js';
+import { serializeJob } from '../services/jobs.js';
+import { recordVersion } from '../services/versions.js';
+import { diffLines, formatUnifiedDiff } from '../services/diff.js';
+import { sendStoredFile } from '../services/fileResponse.js';
+import { getStorage } from '../services/storage/index.js';
+import { getDocumentAccess } from '../services/access.js';
+import { recordAudit } from '../services/audit.js';
+
+// Version metadata without the (potentially large) text snapshot
+const VERSION_FIELDS = {
+  id: true,
+  version: true,
+  originalName: true,
+  sha256: true,
+  size: true,
+  uploadedById: true,
+  restoredFrom: true,
+  createdAt: true,
+};
+
+// Resolves :id to a document the caller holds at least `required` on, or sends the error response and returns null
+async function loadDocument(req, res, required, action) {
+  const access = await getDocumentAccess(req.user, req.params.id, required, action);
+  if (access.error) {
+    res.status(access.status).json({ error: access.error });
+    return null;
+  }
+  return access.document;
+}
+
+// Resolves a version number (from a param or query value) of this document
+async function loadVersion(res, doc, value, label = 'version') {
+  const version = Number(value);
+  if (!Number.isInteger(version) || version < 1) {
+    res.status(400).json({ error: `Invalid ${label}` });
+    return null;
+  }
+
+  const found = await prisma.documentVersion.findUnique({
+    where: { documentId_version: { documentId: doc.id, version } },
+  });
+  if (!found) {
+    res.status(404).json({ error: `Version ${version} not found` });
+    return null;
+  }
+  return found;
+}
+
+// ------------------------------------------- LIST VERSIONS -------------------------------------------
+export async function listVersions(req, res) {
+  try {
+    const doc = await loadDocument(req, res, 'viewer', 'view');
+    if (!doc) return;
+
+    const versions = await prisma.documentVersion.findMany({
+      where: { documentId: doc.id },
+      orderBy: { version: 'desc' },
+      select: { ...VERSION_FIELDS, uploadedBy: { select: { id: true, username: true } } },
+    });
+
+    return res.json({
+      currentVersion: doc.currentVersion,
+      versions: versions.map(v => ({ ...v, current: v.version === doc.currentVersion })),
+    });
+  } catch (err) {
+    console.error('listVersions error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+// ------------------------------------------- DOWNLOAD VERSION -------------------------------------------
+export async function downloadVersion(req, res) {
+  try {
+    const doc = await loadDocument(req, res, 'viewer', 'download');
+    if (!doc) return;
+
+    const version = await loadVersion(res, doc, req.params.version);
+    if (!version) return;
+
+    return sendStoredFile(req, res, {
+      filePath: version.filePath,
+      fileName: version.originalName || path.basename(version.filePath),
+      sha256: version.sha256,
+      onStart: () => recordAudit(req, 'document.download', { document: doc, details: { version: version.version } }),
+    });
+  } catch (err) {
+    console.error('downloadVersion error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+// ------------------------------------------- RESTORE VERSION -------------------------------------------
+// Restoring appends a new version pointing at the old file, so history is never rewritten
+export async function restoreVersion(req, res) {
+  try {
+    const doc = await loadDocument(req, res, 'editor', 'restore versions of');
+    if (!doc) return;
+
+    const version = await loadVersion(res, doc, req.params.version);
+    if (!version) return;
+
+    if (version.version === doc.currentVersion) {
+      return res.status(409).json({ error: 'Version is already current' });
+    }
+    if (!(await getStorage().stat(version.filePath))) {
+      return res.status(404).json({ error: 'File for this version is missing' });
+    }
+
+    await prisma.document.update({
+      where: { id: doc.id },
+      data: {
+        filePath: version.filePath,
+        originalName: version.originalName,
+        sha256: version.sha256,
+      },
+    });
+
+    // The restored file is re-indexed by the worker, which also snapshots its text
+    const restored = await recordVersion(doc.id, {
+      filePath: version.filePath,
+      originalName: version.originalName,
+      sha256: version.sha256,
+      size: version.size,
+      uploadedById: req.user.id,
+      restoredFrom: version.version,
+      text: version.text,
+    });
+    const job = await enqueueDocumentProcessing({ ...doc, currentVersion: restored.version }, { userId: req.user.id });
+    await recordAudit(req, 'document.restore_version', {
+      document: doc,
+      details: { version: restored.version, restoredFrom: version.version },
+    });
+
+    const updated = await prisma.document.findUnique({ where: { id: doc.id } });
+    return res
+      .status(202)
+      .location(`/api/jobs/${job.id}`)
+      .json({ ...updated, restoredFrom: version.version, job: serializeJob(job) });
+  } catch (err) {
+    console.error('restoreVersion error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+// ------------------------------------------- DIFF VERSIONS -------------------------------------------
+// GET /versions/diff?from=1&to=3 (to defaults to the current version); format=unified for text/plain
+export async function diffVersions(req, res) {
+  try {
+    const doc = await loadDocument(req, res, 'viewer', 'view');
+    if (!doc) return;
+
+    const { from, to = doc.currentVersion, format = 'json', context = '3' } = req.query;
+    if (from === undefined) {
+      return res.status(400).json({ error: 'from is required' });
+    }
+    if (!['json', 'unified'].includes(format)) {
+      return res.status(400).json({ error: 'format must be json or unified' });
+    }
+
+    const fromVersion = await loadVersion(res, doc, from, 'from version');
+    if (!fromVersion) return;
+    const toVersion = await loadVersion(res, doc, to, 'to version');
+    if (!toVersion) return;
+
+    const missing = [fromVersion, toVersion].filter(v => v.text == null).map(v => v.version);
+    if (missing.length) {
+      return res.status(422).json({ error: 'No extracted text for version(s)', versions: missing });
+    }
+
+    const contextLines = Math.min(Math.max(parseInt(context, 10) || 0, 0), 20);
+    const { stats, hunks } = diffLines(fromVersion.text, toVersion.text, { context: contextLines });
+
+    if (format === 'unified') {
+      res.type('text/plain');
+      return res.send(formatUnifiedDiff(hunks, {
+        fromLabel: `v${fromVersion.version}`,
+        toLabel: `v${toVersion.version}`,
+      }));
+    }
+
+    return res.json({
+      from: fromVersion.version,
+      to: toVersion.version,
+      identical: hunks.length === 0,
+      stats,
+      hunks,
+    });
+  } catch (err) {
+    console.error('diffVersions error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
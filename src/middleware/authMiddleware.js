@@ -1,13 +1,27 @@
 import jwt from 'jsonwebtoken';
+import { isSessionActive } from '../services/sessions.js';
 
-export function authMiddleware(req, res, next) {
+export async function authMiddleware(req, res, next) {
   const token = req.headers.authorization?.split(' ')[1];
   if (!token) return res.status(401).json({ error: 'No token' });
+
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch {
-    res.status(401).json({ error: 'Invalid token' });
+    return res.status(401).json({ error: 'Invalid token' });
   }
+
+  // Tokens are tied to a server-side session so logout/revocation takes effect immediately
+  try {
+    if (!(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({ error: 'Session expired or revoked' });
+    }
+  } catch (err) {
+    console.error('authMiddleware error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+
+  req.user = decoded;
+  next();
 }
@@ -0,0 +1,40 @@
+import { reserveUsage, releaseUsage } from '../services/quotas.js';
+
+// Takes one use of the user's daily allowance for `metric` before the request runs
+// (429 once it is used up) and gives it back when the request fails: an error
+// status, a connection closed before the response finished, or a handler calling
+// req.quota.release() (e.g. an SSE stream that ends with an error event).
+export function dailyQuota(metric) {
+  return async function quotaMiddleware(req, res, next) {
+    try {
+      const reservation = await reserveUsage(req.user.id, metric);
+      const { reserved, day, ...status } = reservation;
+      if (status.remaining !== null) res.set('X-Quota-Remaining', String(status.remaining));
+      if (!reserved) {
+        return res.status(429).json({
+          error: `Daily ${metric} quota reached`,
+          code: 'quota_exceeded',
+          ...status,
+        });
+      }
+
+      let released = false;
+      const release = () => {
+        if (released) return;
+        released = true;
+        releaseUsage(req.user.id, metric, day).catch(err => console.error('quota release error:', err));
+      };
+      req.quota = { ...status, release };
+      res.on('finish', () => {
+        if (res.statusCode >= 400) release();
+      });
+      res.on('close', () => {
+        if (!res.writableFinished) release();
+      });
+      next();
+    } catch (err) {
+      console.error('quota error:', err);
+      return res.status(500).json({ error: 'Server error' });
+    }
+  };
+}
@@ -0,0 +1,127 @@
+// Fixed-window rate limiting keyed by client IP and/or user id.
+// Counters live in a store with an async interface so the in-memory default can
+// be swapped for a shared one (e.g. Redis INCR + PEXPIRE) via setRateLimitStore():
+//   increment(key, windowMs) -> Promise<{ count, resetAt }>
+//   reset(key)               -> Promise<void>
+
+export class MemoryStore {
+  constructor({ cleanupIntervalMs = 60 * 1000 } = {}) {
+    this.hits = new Map();
+    this.timer = setInterval(() => this.cleanup(), cleanupIntervalMs);
+    this.timer.unref?.();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let entry = this.hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      this.hits.set(key, entry);
+    }
+    entry.count++;
+    return { count: entry.count, resetAt: entry.resetAt };
+  }
+
+  async reset(key) {
+    this.hits.delete(key);
+  }
+
+  cleanup() {
+    const now = Date.now();
+    for (const [key, entry] of this.hits) {
+      if (entry.resetAt <= now) this.hits.delete(key);
+    }
+  }
+}
+
+let store = new MemoryStore();
+
+export function setRateLimitStore(next) {
+  store = next;
+}
+
+const KEYS = {
+  ip: req => `ip:${req.ip}`,
+  user: req => (req.user ? `user:${req.user.id}` : `ip:${req.ip}`),
+};
+
+/**
+ * Builds a limiter middleware.
+ *   name      – counter namespace (one bucket per name + key)
+ *   windowMs  – window length
+ *   max       – requests allowed per window (0 disables the limiter)
+ *   key       – 'ip', 'user' (needs authMiddleware first) or (req) => string
+ */
+export function rateLimit({ name, windowMs, max, key = 'ip', message = 'Too many requests, please try again later' }) {
+  const keyOf = typeof key === 'function' ? key : KEYS[key];
+
+  return async function rateLimitMiddleware(req, res, next) {
+    if (!max) return next();
+    try {
+      const { count, resetAt } = await store.increment(`${name}:${keyOf(req)}`, windowMs);
+      const resetSeconds = Math.max(0, Math.ceil((resetAt - Date.now()) / 1000));
+      res.set({
+        'RateLimit-Limit': String(max),
+        'RateLimit-Remaining': String(Math.max(0, max - count)),
+        'RateLimit-Reset': String(resetSeconds),
+      });
+      if (count > max) {
+        res.set('Retry-After', String(resetSeconds));
+        return res.status(429).json({ error: message, code: 'rate_limited', retryAfter: resetSeconds });
+      }
+      next();
+    } catch (err) {
+      // A broken limiter store should not take the API down with it
+      console.error('rateLimit error:', err);
+      next();
+    }
+  };
+}
+
+// Unset -> fallback; 0 disables a limiter
+function envNumber(name, fallback) {
+  const value = process.env[name];
+  return value === undefined || value === '' ? fallback : Number(value);
+}
+
+const MINUTE = 60 * 1000;
+
+// Login, registration and password reset, per IP
+export const authLimiter = rateLimit({
+  name: 'auth',
+  windowMs: envNumber('AUTH_RATE_LIMIT_WINDOW_MS', 15 * MINUTE),
+  max: envNumber('AUTH_RATE_LIMIT_MAX', 20),
+  message: 'Too many authentication attempts, please try again later',
+});
+
+// Refresh token rotation, per IP; separate from authLimiter because every open
+// client refreshes routinely and must not use up the login attempts
+export const refreshLimiter = rateLimit({
+  name: 'refresh',
+  windowMs: envNumber('REFRESH_RATE_LIMIT_WINDOW_MS', 15 * MINUTE),
+  max: envNumber('REFRESH_RATE_LIMIT_MAX', 60),
+  message: 'Too many token refreshes, please try again later',
+});
+
+// Password attempts on public share links, per IP
+export const shareLinkLimiter = rateLimit({
+  name: 'share-link',
+  windowMs: envNumber('SHARE_LINK_RATE_LIMIT_WINDOW_MS', 15 * MINUTE),
+  max: envNumber('SHARE_LINK_RATE_LIMIT_MAX', 60),
+});
+
+// Model calls: per user (after authMiddleware) and per IP as a backstop
+export const aiUserLimiter = rateLimit({
+  name: 'ai-user',
+  key: 'user',
+  windowMs: envNumber('AI_RATE_LIMIT_WINDOW_MS', MINUTE),
+  max: envNumber('AI_RATE_LIMIT_MAX', 10),
+  message: 'Too many questions, please slow down',
+});
+
+export const aiIpLimiter = rateLimit({
+  name: 'ai-ip',
+  windowMs: envNumber('AI_RATE_LIMIT_WINDOW_MS', MINUTE),
+  max: envNumber('AI_IP_RATE_LIMIT_MAX', 30),
+  message: 'Too many questions, please slow down',
+});
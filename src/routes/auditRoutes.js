@@ -0,0 +1,10 @@
+import express from 'express';
+import { authMiddleware } from '../middleware/authMiddleware.js';
+import { listAuditEvents } from '../controllers/auditController.js';
+
+const router = express.Router();
+
+// ------------------------------------------- ROUTES -------------------------------------------
+router.get('/', authMiddleware, listAuditEvents);
+
+export default router;
@@ -1,8 +1,40 @@
 import express from 'express';
-import { register, login } from '../controllers/authController.js';
+import { authMiddleware } from '../middleware/authMiddleware.js';
+import { authLimiter, refreshLimiter } from '../middleware/rateLimit.js';
+import {
+  register,
+  login,
+  refresh,
+  logout,
+  listSessions,
+  deleteSession,
+  changePassword,
+  getMe,
+  updateMe,
+  deleteMe,
+  getMyUsage,
+  getMyStorage,
+  requestPasswordReset,
+  confirmPasswordReset,
+} from '../controllers/authController.js';
 
 const router = express.Router();
-router.post('/register', register);
-router.post('/login', login);
+router.post('/register', authLimiter, register);
+router.post('/login', authLimiter, login);
+router.post('/refresh', refreshLimiter, refresh);
+router.post('/logout', authMiddleware, logout);
+
+router.get('/sessions', authMiddleware, listSessions);
+router.delete('/sessions/:sessionId', authMiddleware, deleteSession);
+router.post('/change-password', authMiddleware, changePassword);
+
+router.post('/password-reset/request', authLimiter, requestPasswordReset);
+router.post('/password-reset/confirm', authLimiter, confirmPasswordReset);
+
+router.get('/me', authMiddleware, getMe);
+router.patch('/me', authMiddleware, updateMe);
+router.delete('/me', authMiddleware, deleteMe);
+router.get('/me/usage', authMiddleware, getMyUsage);
+router.get('/me/storage', authMiddleware, getMyStorage);
 
 export default router;
@@ -0,0 +1,21 @@
+import express from 'express';
+import { authMiddleware } from '../middleware/authMiddleware.js';
+import {
+  listCollections,
+  createCollection,
+  getCollection,
+  updateCollection,
+  deleteCollection,
+} from '../controllers/collectionController.js';
+
+const router = express.Router();
+
+// ------------------------------------------- ROUTES -------------------------------------------
+router.get('/', authMiddleware, listCollections);
+router.post('/', authMiddleware, createCollection);
+
+router.get('/:id', authMiddleware, getCollection);
+router.patch('/:id', authMiddleware, updateCollection);
+router.delete('/:id', authMiddleware, deleteCollection);
+
+export default router;
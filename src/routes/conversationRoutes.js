@@ -0,0 +1,27 @@
+import express from 'express';
+import { authMiddleware } from '../middleware/authMiddleware.js';
+import { aiIpLimiter, aiUserLimiter } from '../middleware/rateLimit.js';
+import { dailyQuota } from '../middleware/quota.js';
+import {
+  createConversation,
+  listConversations,
+  getConversation,
+  renameConversation,
+  deleteConversation,
+  askInConversation,
+} from '../controllers/conversationController.js';
+
+// Mounted under /api/documents/:id/conversations
+const router = express.Router({ mergeParams: true });
+
+// ------------------------------------------- ROUTES -------------------------------------------
+router.get('/', authMiddleware, listConversations);
+router.post('/', authMiddleware, createConversation);
+
+router.get('/:conversationId', authMiddleware, getConversation);
+router.patch('/:conversationId', authMiddleware, renameConversation);
+router.delete('/:conversationId', authMiddleware, deleteConversation);
+
+router.post('/:conversationId/ask', aiIpLimiter, authMiddleware, aiUserLimiter, dailyQuota('questions'), askInConversation);
+
+export default router;
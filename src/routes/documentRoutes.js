@@ -1,48 +1,146 @@
 import express from 'express';
 import multer from 'multer';
 import { authMiddleware } from '../middleware/authMiddleware.js';
+import { aiIpLimiter, aiUserLimiter } from '../middleware/rateLimit.js';
+import { dailyQuota } from '../middleware/quota.js';
 import {
   getDocuments,
   getDocumentById,
+  downloadDocument,
+  previewDocument,
   uploadDocument,
   duplicateDocument,
   askQuestion,
+  askQuestionStream,
+  askAcrossDocuments,
+  getDocumentSummary,
+  extractDocumentFields,
   updateDocumentMetadata,
   updateDocumentFile,
   deleteDocument,
   bulkDeleteDocuments,
+  setDocumentTags,
+  bulkMoveDocuments,
+  bulkTagDocuments,
+  restoreDocument,
+  bulkRestoreDocuments,
+  permanentlyDeleteDocument,
+  emptyTrash,
+  bulkUploadDocuments,
+  bulkDownloadDocuments,
+  bulkRenameDocuments,
 } from '../controllers/documentController.js';
+import conversationRoutes from './conversationRoutes.js';
+import versionRoutes from './versionRoutes.js';
+import shareRoutes from './shareRoutes.js';
+import { exportDocumentReport } from '../controllers/exportController.js';
+import { QUARANTINE_DIR, MAX_UPLOAD_BYTES, BULK_UPLOAD_MAX_FILES, ALLOWED_EXTENSIONS } from '../services/uploads.js';
 
 const router = express.Router();
 import path from 'path';
+import crypto from 'crypto';
 
 // ------------------------------------------- MULTER CONFIG -------------------------------------------
+// Files land in quarantine first; services/uploads.js validates and scans them before use
 const storage = multer.diskStorage({
-  destination: (req, file, cb) => cb(null, 'src/uploads/'),
+  destination: (req, file, cb) => cb(null, QUARANTINE_DIR),
   filename: (req, file, cb) => {
-    const ext = path.extname(file.originalname) || '';
+    const ext = path.extname(file.originalname).toLowerCase().replace(/[^a-z0-9.]+/g, '') || '';
     const base = path
-      .basename(file.originalname, ext)
+      .basename(file.originalname, path.extname(file.originalname))
       .replace(/[^a-z0-9-_]+/gi, '_')
       .slice(0, 80);
-    cb(null, `${Date.now()}_${base}${ext}`);
+    // random part: files of one bulk upload often arrive within the same millisecond
+    cb(null, `${Date.now()}_${crypto.randomBytes(4).toString('hex')}_${base}${ext}`);
   }
 });
-const upload = multer({ storage });
+const upload = multer({
+  storage,
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1, fields: 10 },
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (ALLOWED_EXTENSIONS.has(ext)) return cb(null, true);
+    const err = new Error('File type not allowed');
+    err.code = 'UNSUPPORTED_TYPE';
+    cb(err);
+  },
+});
+
+// Bulk uploads also take .zip archives; a file of another type is skipped and
+// reported per file (req.rejectedFiles) instead of failing the whole request
+const bulkUpload = multer({
+  storage,
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: BULK_UPLOAD_MAX_FILES, fields: 10 },
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (ext === '.zip' || ALLOWED_EXTENSIONS.has(ext)) return cb(null, true);
+    (req.rejectedFiles ||= []).push({ file: file.originalname, status: 415, error: 'File type not allowed' });
+    cb(null, false);
+  },
+});
+
+// Turns multer failures into JSON responses instead of Express's default HTML error page
+function singleFile(field) {
+  return uploadErrors(upload.single(field));
+}
+
+function multipleFiles(field) {
+  return uploadErrors(bulkUpload.array(field, BULK_UPLOAD_MAX_FILES));
+}
+
+function uploadErrors(handler) {
+  return (req, res, next) => handler(req, res, err => {
+    if (!err) return next();
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: 'File is too large', maxBytes: MAX_UPLOAD_BYTES });
+    }
+    if (err.code === 'UNSUPPORTED_TYPE') {
+      return res.status(415).json({ error: err.message, allowedExtensions: [...ALLOWED_EXTENSIONS] });
+    }
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({ error: err.message });
+    }
+    return next(err);
+  });
+}
 
 // ------------------------------------------- ROUTES -------------------------------------------
 router.get('/', authMiddleware, getDocuments);                  
 router.get('/:id', authMiddleware, getDocumentById);           
+router.get('/:id/download', authMiddleware, downloadDocument);
+router.get('/:id/preview', authMiddleware, previewDocument);
+router.get('/:id/export', authMiddleware, exportDocumentReport);
 
-router.post('/', authMiddleware, upload.single('file'), uploadDocument);      
+router.post('/', authMiddleware, singleFile('file'), uploadDocument);      
 router.post('/:id/duplicate', authMiddleware, duplicateDocument);             
+router.post('/bulk/upload', authMiddleware, multipleFiles('files'), bulkUploadDocuments);
+router.post('/bulk/download', authMiddleware, bulkDownloadDocuments);
+router.post('/bulk/rename', authMiddleware, bulkRenameDocuments);
+router.post('/bulk/move', authMiddleware, bulkMoveDocuments);
+router.post('/bulk/tags', authMiddleware, bulkTagDocuments);
+router.post('/bulk/restore', authMiddleware, bulkRestoreDocuments);
+router.post('/:id/restore', authMiddleware, restoreDocument);
 
-router.post('/:id/ask', authMiddleware, askQuestion);          
+// Model calls are rate limited and count against the daily question quota
+const askLimits = [aiIpLimiter, authMiddleware, aiUserLimiter, dailyQuota('questions')];
+router.post('/ask', askLimits, askAcrossDocuments);
+router.post('/:id/ask', askLimits, askQuestion);
+router.post('/:id/ask/stream', askLimits, askQuestionStream);
+router.post('/:id/extract', askLimits, extractDocumentFields);
+// cached summaries are free: the controller hands their quota use back
+router.get('/:id/summary', askLimits, getDocumentSummary);
+router.use('/:id/conversations', conversationRoutes);
+router.use('/:id/versions', versionRoutes);
+router.use('/:id', shareRoutes);
 
 router.patch('/:id', authMiddleware, updateDocumentMetadata);  
-router.patch('/:id/file', authMiddleware, upload.single('file'), updateDocumentFile); 
+router.put('/:id/tags', authMiddleware, setDocumentTags);
+router.patch('/:id/file', authMiddleware, singleFile('file'), updateDocumentFile); 
 
+// Deleting moves documents to the trash (listed with ?view=trash)
+router.delete('/trash', authMiddleware, emptyTrash);
 router.delete('/:id', authMiddleware, deleteDocument);         
+router.delete('/:id/permanent', authMiddleware, permanentlyDeleteDocument);
 router.delete('/', authMiddleware, bulkDeleteDocuments);       
 
 
@@ -0,0 +1,21 @@
+import express from 'express';
+import { authMiddleware } from '../middleware/authMiddleware.js';
+import {
+  listFolders,
+  createFolder,
+  getFolder,
+  updateFolder,
+  deleteFolder,
+} from '../controllers/folderController.js';
+
+const router = express.Router();
+
+// ------------------------------------------- ROUTES -------------------------------------------
+router.get('/', authMiddleware, listFolders);
+router.post('/', authMiddleware, createFolder);
+
+router.get('/:id', authMiddleware, getFolder);
+router.patch('/:id', authMiddleware, updateFolder);
+router.delete('/:id', authMiddleware, deleteFolder);
+
+export default router;
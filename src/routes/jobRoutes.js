@@ -0,0 +1,13 @@
+import express from 'express';
+import { authMiddleware } from '../middleware/authMiddleware.js';
+import { listJobs, getJob, cancelQueuedJob, retryFailedJob } from '../controllers/jobController.js';
+
+const router = express.Router();
+
+// ------------------------------------------- ROUTES -------------------------------------------
+router.get('/', authMiddleware, listJobs);
+router.get('/:id', authMiddleware, getJob);
+router.post('/:id/cancel', authMiddleware, cancelQueuedJob);
+router.post('/:id/retry', authMiddleware, retryFailedJob);
+
+export default router;
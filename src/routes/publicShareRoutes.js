@@ -0,0 +1,13 @@
+import express from 'express';
+import { shareLinkLimiter } from '../middleware/rateLimit.js';
+import { getSharedDocument, downloadSharedDocument, previewSharedDocument } from '../controllers/shareController.js';
+
+// Mounted under /api/shared – no auth, the link token is the credential
+const router = express.Router();
+
+// ------------------------------------------- ROUTES -------------------------------------------
+router.get('/:token', shareLinkLimiter, getSharedDocument);
+router.get('/:token/download', shareLinkLimiter, downloadSharedDocument);
+router.get('/:token/preview', shareLinkLimiter, previewSharedDocument);
+
+export default router;
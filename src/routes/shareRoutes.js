@@ -0,0 +1,24 @@
+import express from 'express';
+import { authMiddleware } from '../middleware/authMiddleware.js';
+import {
+  listShares,
+  upsertShare,
+  removeShare,
+  listShareLinks,
+  createShareLink,
+  revokeShareLink,
+} from '../controllers/shareController.js';
+
+// Mounted under /api/documents/:id
+const router = express.Router({ mergeParams: true });
+
+// ------------------------------------------- ROUTES -------------------------------------------
+router.get('/shares', authMiddleware, listShares);
+router.put('/shares', authMiddleware, upsertShare);
+router.delete('/shares/:userId', authMiddleware, removeShare);
+
+router.get('/share-links', authMiddleware, listShareLinks);
+router.post('/share-links', authMiddleware, createShareLink);
+router.delete('/share-links/:linkId', authMiddleware, revokeShareLink);
+
+export default router;
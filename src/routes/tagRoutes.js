@@ -0,0 +1,19 @@
+import express from 'express';
+import { authMiddleware } from '../middleware/authMiddleware.js';
+import {
+  listTags,
+  createTag,
+  updateTag,
+  deleteTag,
+} from '../controllers/tagController.js';
+
+const router = express.Router();
+
+// ------------------------------------------- ROUTES -------------------------------------------
+router.get('/', authMiddleware, listTags);
+router.post('/', authMiddleware, createTag);
+
+router.patch('/:id', authMiddleware, updateTag);
+router.delete('/:id', authMiddleware, deleteTag);
+
+export default router;
@@ -0,0 +1,20 @@
+import express from 'express';
+import { authMiddleware } from '../middleware/authMiddleware.js';
+import {
+  listVersions,
+  downloadVersion,
+  restoreVersion,
+  diffVersions,
+} from '../controllers/versionController.js';
+
+// Mounted under /api/documents/:id/versions
+const router = express.Router({ mergeParams: true });
+
+// ------------------------------------------- ROUTES -------------------------------------------
+router.get('/', authMiddleware, listVersions);
+router.get('/diff', authMiddleware, diffVersions);
+
+router.get('/:version/download', authMiddleware, downloadVersion);
+router.post('/:version/restore', authMiddleware, restoreVersion);
+
+export default router;
@@ -1,5 +1,14 @@
 import 'dotenv/config';
 import app from './app.js'
+import { startWorker } from './services/jobs.js';
+import { scheduleTrashPurge } from './services/documentJobs.js';
 
 const PORT = process.env.PORT || 8000;
 app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+
+// Single-process deployments process jobs in the API process; set JOB_WORKER=external
+// when running `npm run worker` separately
+if (process.env.JOB_WORKER !== 'external') {
+  startWorker();
+  scheduleTrashPurge().catch(err => console.error('failed to schedule trash purge:', err));
+}
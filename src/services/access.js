@@ -0,0 +1,80 @@
+// src/services/access.js
+// Central authorization for documents. Every document route asks for the
+// minimum role it needs instead of comparing req.user.id with doc.userId itself.
+//   viewer    – read metadata/files/versions, ask questions
+//   commenter – viewer + persistent Q&A threads
+//   editor    – commenter + rename, replace file, restore versions, duplicate
+//   owner     – editor + delete and manage sharing
+// Documents in the trash (deletedAt set) are treated as missing unless a route
+// asks for them explicitly.
+import { prisma } from '../prismaClient.js';
+
+export const ROLES = ['viewer', 'commenter', 'editor', 'owner'];
+export const SHARE_ROLES = ['viewer', 'commenter', 'editor'];
+
+export function hasRole(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+// The caller's role on a loaded document, or null when it is not shared with them
+export async function getRole(userId, doc) {
+  if (!userId) return null;
+  if (doc.userId === userId) return 'owner';
+  const share = await prisma.documentShare.findUnique({
+    where: { documentId_userId: { documentId: doc.id, userId } },
+  });
+  return share?.role ?? null;
+}
+
+/**
+ * Loads a document and checks the caller has at least `required`.
+ * Resolves { document, role } or { status, error } ready to send:
+ *
+ *   const access = await getDocumentAccess(req.user, req.params.id, 'editor', 'update');
+ *   if (access.error) return res.status(access.status).json({ error: access.error });
+ *
+ * With { trashed: true } only a document in the trash is found.
+ */
+export async function getDocumentAccess(user, documentId, required = 'viewer', action = 'access', { trashed = false } = {}) {
+  const id = Number(documentId);
+  if (!Number.isFinite(id)) {
+    return { status: 400, error: 'Invalid document id' };
+  }
+
+  const document = await prisma.document.findUnique({ where: { id } });
+  if (!document || Boolean(document.deletedAt) !== trashed) {
+    return { status: 404, error: trashed ? 'Document not found in trash' : 'Document not found' };
+  }
+
+  const role = await getRole(user?.id, document);
+  if (!role || !hasRole(role, required)) {
+    return { status: 403, error: `Not allowed to ${action} this document` };
+  }
+  return { document, role };
+}
+
+// Splits ids into documents the caller can use with `required` and the rest
+export async function filterAccessibleDocuments(userId, ids, required = 'viewer', { trashed = false } = {}) {
+  const docs = await prisma.document.findMany({
+    where: { id: { in: ids }, deletedAt: trashed ? { not: null } : null },
+    include: { shares: { where: { userId } } },
+  });
+
+  const accessible = [];
+  for (const { shares, ...doc } of docs) {
+    const role = doc.userId === userId ? 'owner' : shares[0]?.role;
+    if (role && hasRole(role, required)) accessible.push({ ...doc, role });
+  }
+  const accessibleIds = new Set(accessible.map(d => d.id));
+  return { accessible, skipped: ids.filter(id => !accessibleIds.has(id)) };
+}
+
+// Prisma where clause for the document list views: 'owned', 'shared', 'all' or
+// 'trash' (the caller's own deleted documents)
+export function documentViewWhere(userId, view) {
+  const shared = { shares: { some: { userId } } };
+  if (view === 'trash') return { userId, deletedAt: { not: null } };
+  if (view === 'shared') return { ...shared, deletedAt: null };
+  if (view === 'all') return { OR: [{ userId }, shared], deletedAt: null };
+  return { userId, deletedAt: null };
+}
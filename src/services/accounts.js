@@ -0,0 +1,95 @@
+// src/services/accounts.js
+// Password reset tokens and account deletion.
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import { prisma } from '../prismaClient.js';
+import { sendMail } from './mailer.js';
+import { listVersionFiles } from './versions.js';
+import { releaseBlobs } from './blobs.js';
+
+const RESET_TOKEN_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+const APP_URL = process.env.APP_URL || 'http://localhost:5173';
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Issues a reset token and mails the link; older unused tokens stop working
+export async function startPasswordReset(user) {
+  if (!user.email) {
+    console.warn(`[auth] password reset requested for user ${user.id} without an email address`);
+    return;
+  }
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  await prisma.$transaction([
+    prisma.passwordResetToken.deleteMany({ where: { userId: user.id, usedAt: null } }),
+    prisma.passwordResetToken.create({
+      data: {
+        userId: user.id,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000),
+      },
+    }),
+  ]);
+
+  const link = `${APP_URL}/reset-password?token=${encodeURIComponent(token)}`;
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your DocAI password',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      `Use the link below to choose a new password. It expires in ${RESET_TOKEN_TTL_MINUTES} minutes.`,
+      '',
+      link,
+      '',
+      'If you did not ask for this, you can ignore this email.',
+    ].join('\n'),
+  });
+}
+
+/**
+ * Sets a new password from a reset token and signs out every session.
+ * Resolves { user } or { status, error } ready to send.
+ */
+export async function completePasswordReset(token, newPassword) {
+  const reset = await prisma.passwordResetToken.findUnique({ where: { tokenHash: hashToken(token) } });
+  if (!reset || reset.usedAt || reset.expiresAt <= new Date()) {
+    return { status: 400, error: 'Reset link is invalid or has expired' };
+  }
+
+  const hashed = await bcrypt.hash(newPassword, 10);
+  const [user] = await prisma.$transaction([
+    prisma.user.update({
+      where: { id: reset.userId },
+      data: { password: hashed, failedLogins: 0, lockedUntil: null },
+    }),
+    prisma.passwordResetToken.update({ where: { id: reset.id }, data: { usedAt: new Date() } }),
+    prisma.session.updateMany({
+      where: { userId: reset.userId, revokedAt: null },
+      data: { revokedAt: new Date() },
+    }),
+  ]);
+  return { user };
+}
+
+// Removes the user with their documents (all versions in storage), threads and collections.
+// Returns how many documents and files were removed.
+export async function deleteAccount(userId) {
+  const documents = await prisma.document.findMany({ where: { userId }, select: { id: true } });
+  const docIds = documents.map(d => d.id);
+  const files = await listVersionFiles(docIds);
+
+  await prisma.$transaction([
+    prisma.conversation.deleteMany({ where: { OR: [{ userId }, { documentId: { in: docIds } }] } }),
+    prisma.collection.deleteMany({ where: { userId } }),
+    prisma.document.deleteMany({ where: { userId } }),
+    prisma.user.delete({ where: { id: userId } }),
+  ]);
+
+  // Files go last so a failed transaction never leaves rows pointing at missing files;
+  // blobs still used by other users' copies are kept
+  const removed = await releaseBlobs(files);
+  return { documents: docIds.length, files: removed };
+}
@@ -0,0 +1,121 @@
+// src/services/archives.js
+// ZIP archives for bulk operations: uploaded archives are unpacked into the
+// quarantine directory so every entry goes through processUpload() like a
+// normal upload, and bulk downloads stream stored files out as one ZIP.
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { Readable, Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { QUARANTINE_DIR, MAX_UPLOAD_BYTES, ALLOWED_EXTENSIONS } from './uploads.js';
+import { getStorage } from './storage/index.js';
+
+// Entries taken from one uploaded archive, and their combined unpacked size
+export const ZIP_MAX_ENTRIES = Number(process.env.ZIP_MAX_ENTRIES) || 100;
+export const ZIP_MAX_UNPACKED_BYTES = Number(process.env.ZIP_MAX_UNPACKED_BYTES) || 10 * MAX_UPLOAD_BYTES;
+
+class EntryTooLargeError extends Error {}
+
+// Passes bytes through until `limit` is exceeded, so a zip bomb stops early
+function byteLimit(limit) {
+  let seen = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      seen += chunk.length;
+      if (seen > limit) return callback(new EntryTooLargeError());
+      callback(null, chunk);
+    },
+  });
+}
+
+// Folders, macOS resource forks and hidden files are not documents
+function isIgnoredEntry(entry) {
+  if (entry.dir) return true;
+  return entry.name.split('/').some(part => part === '__MACOSX' || part.startsWith('.'));
+}
+
+/**
+ * Unpacks a ZIP upload into quarantine. Resolves
+ *   { files: [{ path, originalname, entry }], skipped: [{ entry, status, error }] }
+ * where `files` look like multer files (ready for processUpload()) and `entry` is
+ * the path inside the archive; or { status, error } when the archive can't be read.
+ * The archive itself is left in place for the caller to discard.
+ */
+export async function unpackZip(zipPath) {
+  const { default: JSZip } = await import('jszip');
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(await fs.promises.readFile(zipPath));
+  } catch {
+    return { status: 422, error: 'ZIP archive could not be read' };
+  }
+
+  const entries = Object.values(zip.files).filter(entry => !isIgnoredEntry(entry));
+  const files = [];
+  const skipped = [];
+  let unpackedBytes = 0;
+
+  for (const entry of entries) {
+    if (files.length >= ZIP_MAX_ENTRIES) {
+      skipped.push({ entry: entry.name, status: 413, error: `Only the first ${ZIP_MAX_ENTRIES} files of an archive are used` });
+      continue;
+    }
+    const ext = path.extname(entry.name).toLowerCase();
+    if (!ALLOWED_EXTENSIONS.has(ext)) {
+      skipped.push({ entry: entry.name, status: 415, error: 'File type not allowed' });
+      continue;
+    }
+
+    const limit = Math.min(MAX_UPLOAD_BYTES, ZIP_MAX_UNPACKED_BYTES - unpackedBytes);
+    const target = path.join(QUARANTINE_DIR, `${Date.now()}_${crypto.randomBytes(6).toString('hex')}${ext}`);
+    try {
+      await pipeline(entry.nodeStream('nodebuffer'), byteLimit(limit), fs.createWriteStream(target));
+    } catch (e) {
+      await fs.promises.rm(target, { force: true });
+      if (!(e instanceof EntryTooLargeError)) {
+        skipped.push({ entry: entry.name, status: 422, error: 'File could not be unpacked' });
+        continue;
+      }
+      const error = limit < MAX_UPLOAD_BYTES ? 'Archive is too large when unpacked' : 'File is too large';
+      skipped.push({ entry: entry.name, status: 413, error });
+      continue;
+    }
+
+    unpackedBytes += (await fs.promises.stat(target)).size;
+    files.push({ path: target, originalname: path.posix.basename(entry.name), entry: entry.name });
+  }
+
+  return { files, skipped };
+}
+
+// Unique, filesystem-safe names for the documents of one archive: "Title.pdf", "Title (2).pdf", ...
+export function archiveEntryNames(documents) {
+  const used = new Set();
+  return documents.map(doc => {
+    const ext = path.extname(doc.originalName || '').toLowerCase();
+    const base = doc.title.replace(/[\\/:*?"<>|\x00-\x1f]+/g, '_').replace(/^[.\s]+|[.\s]+$/g, '').slice(0, 150)
+      || `document-${doc.id}`;
+    let name = `${base}${ext}`;
+    for (let n = 2; used.has(name.toLowerCase()); n++) name = `${base} (${n})${ext}`;
+    used.add(name.toLowerCase());
+    return name;
+  });
+}
+
+/**
+ * Streams a ZIP of stored files ([{ name, key }]). Each file is only opened in
+ * storage when the archive reaches it, so large selections don't hold many
+ * downloads open at once. Stored without compression: most formats are compressed already.
+ */
+export async function createZipStream(entries) {
+  const { default: JSZip } = await import('jszip');
+  const storage = getStorage();
+  const zip = new JSZip();
+  for (const { name, key } of entries) {
+    const lazy = Readable.from((async function* () {
+      yield* await storage.createReadStream(key);
+    })());
+    zip.file(name, lazy, { binary: true });
+  }
+  return zip.generateNodeStream({ type: 'nodebuffer', streamFiles: true, compression: 'STORE' });
+}
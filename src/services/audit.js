@@ -0,0 +1,139 @@
+// src/services/audit.js
+// Append-only audit trail (AuditEvent): who did what to which document, from
+// where, and for model calls which model ran, its token counts and latency.
+// Rows are never updated and have no foreign keys, so they outlive deleted
+// documents and accounts. Writing an event never fails the request.
+import { prisma } from '../prismaClient.js';
+
+// CSV exports hold at most this many (newest) events
+export const AUDIT_EXPORT_MAX_ROWS = Number(process.env.AUDIT_EXPORT_MAX_ROWS) || 10000;
+
+function requestContext(req) {
+  return {
+    ip: req.ip ?? null,
+    userAgent: req.get?.('user-agent')?.slice(0, 512) ?? null,
+  };
+}
+
+// Model, token counts and latency of a generate() result, for /ask-style events
+export function modelDetails(result) {
+  if (!result) return {};
+  return {
+    provider: result.provider ?? null,
+    model: result.model ?? null,
+    promptTokens: result.usage?.promptTokens ?? null,
+    completionTokens: result.usage?.completionTokens ?? null,
+    latencyMs: result.latencyMs ?? null,
+  };
+}
+
+/**
+ * Appends one event per target document (or a single event for `target`):
+ *
+ *   await recordAudit(req, 'document.download', { document });
+ *   await recordAudit(req, 'document.delete', { documents, details: { bulk: true } });
+ *   await recordAudit(req, 'auth.login', { actor: user, target: { type: 'user', id, ownerId }, outcome: 'failure' });
+ *
+ * `actor` defaults to req.user; `details` is stored as JSON.
+ */
+export async function recordAudit(req, action, { actor = req.user, document, documents, target, outcome = 'success', details } = {}) {
+  try {
+    const base = {
+      action,
+      outcome,
+      actorId: actor?.id ?? null,
+      actorName: actor?.username ?? null,
+      ...requestContext(req),
+    };
+
+    const targets = documents || (document ? [document] : null);
+    const rows = targets
+      ? targets.map(doc => ({
+          ...base,
+          targetType: 'document',
+          targetId: doc.id,
+          ownerId: doc.userId ?? null,
+          // the title is kept so the event still reads well after the document is gone
+          details: JSON.stringify({ title: doc.title, ...details }),
+        }))
+      : [{
+          ...base,
+          targetType: target?.type ?? null,
+          targetId: target?.id ?? null,
+          ownerId: target?.ownerId ?? null,
+          details: details ? JSON.stringify(details) : null,
+        }];
+
+    if (rows.length) await prisma.auditEvent.createMany({ data: rows });
+  } catch (err) {
+    console.error(`recordAudit error (${action}):`, err);
+  }
+}
+
+// Event as returned by the API (details parsed)
+export function serializeAuditEvent(event) {
+  return { ...event, details: event.details ? JSON.parse(event.details) : null };
+}
+
+/**
+ * Prisma where clause for the events `userId` may read (their own actions and
+ * anything done to their documents or account) narrowed by the query filters:
+ * action (comma-separated, 'document.*' matches a prefix), actorId, documentId,
+ * outcome, from / to (ISO dates). Returns { where } or { status, error }.
+ */
+export function auditWhere(userId, query) {
+  const conditions = [{ OR: [{ actorId: userId }, { ownerId: userId }] }];
+
+  if (query.action) {
+    const actions = String(query.action).split(',').map(a => a.trim()).filter(Boolean);
+    conditions.push({
+      OR: actions.map(a => (a.endsWith('.*') ? { action: { startsWith: a.slice(0, -1) } } : { action: a })),
+    });
+  }
+
+  for (const param of ['actorId', 'documentId']) {
+    if (query[param] === undefined) continue;
+    const id = Number(query[param]);
+    if (!Number.isInteger(id)) return { status: 400, error: `${param} must be a number` };
+    conditions.push(param === 'actorId' ? { actorId: id } : { targetType: 'document', targetId: id });
+  }
+
+  if (query.outcome !== undefined) {
+    if (!['success', 'failure'].includes(query.outcome)) {
+      return { status: 400, error: "outcome must be 'success' or 'failure'" };
+    }
+    conditions.push({ outcome: query.outcome });
+  }
+
+  for (const [param, op] of [['from', 'gte'], ['to', 'lt']]) {
+    if (query[param] === undefined) continue;
+    const date = new Date(String(query[param]));
+    if (Number.isNaN(date.getTime())) return { status: 400, error: `${param} must be an ISO date` };
+    // a bare YYYY-MM-DD upper bound covers that whole day
+    if (op === 'lt' && /^\d{4}-\d{2}-\d{2}$/.test(query[param])) date.setUTCDate(date.getUTCDate() + 1);
+    conditions.push({ createdAt: { [op]: date } });
+  }
+
+  return { where: { AND: conditions } };
+}
+
+const CSV_COLUMNS = [
+  'id', 'createdAt', 'action', 'outcome', 'actorId', 'actorName',
+  'targetType', 'targetId', 'ownerId', 'ip', 'userAgent', 'details',
+];
+
+// Quotes every field; a leading = + - @ is escaped so spreadsheets don't run it as a formula
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+export function auditEventsToCsv(events) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const event of events) {
+    lines.push(CSV_COLUMNS.map(column => csvField(event[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
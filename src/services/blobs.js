@@ -0,0 +1,100 @@
+// src/services/blobs.js
+// Content-addressed file store on top of the storage backend. Each distinct
+// file is kept once, under blobs/<first 2 hex chars>/<sha256>, so duplicates,
+// restores and identical re-uploads share it. Blob.refCount counts the
+// DocumentVersion rows using the blob (recordVersion() adds one, releaseBlobs()
+// removes them); the stored object is deleted when the count drops to zero.
+import fs from 'fs';
+import { prisma } from '../prismaClient.js';
+import { getStorage } from './storage/index.js';
+
+// Unreferenced blobs are only deleted once storeBlob() hasn't handed them out for this
+// long, so an upload that is about to reference one (or failed halfway) isn't raced
+const ORPHAN_GRACE_MS = 60 * 60 * 1000;
+
+export function blobKey(sha256) {
+  return `blobs/${sha256.slice(0, 2)}/${sha256}`;
+}
+
+/**
+ * Moves a validated local file into storage and returns its key. When a blob with
+ * the same SHA-256 is already stored, the local file is dropped and that key reused.
+ * The new reference is only counted once recordVersion() attaches the key; until then
+ * lastUsedAt keeps the blob from being deleted.
+ */
+export async function storeBlob(localPath, { sha256, size, format = null }) {
+  const storage = getStorage();
+  const existing = await prisma.blob.findFirst({ where: { sha256 }, orderBy: { id: 'asc' } });
+  if (existing && (await storage.stat(existing.key))) {
+    // a sweep only deletes rows it saw untouched, so no row here means it just took the blob
+    const { count } = await prisma.blob.updateMany({
+      where: { id: existing.id },
+      data: { lastUsedAt: new Date(), ...(!existing.format && format ? { format } : {}) },
+    });
+    if (count) {
+      await fs.promises.rm(localPath, { force: true });
+      return existing.key;
+    }
+  }
+
+  const key = blobKey(sha256);
+  await storage.put(key, localPath);
+  await prisma.blob.upsert({
+    where: { key },
+    create: { key, sha256, size, format },
+    update: { size, format, lastUsedAt: new Date() },
+  });
+  return key;
+}
+
+// Stored metadata for a key ({ key, sha256, size, format, refCount, lastUsedAt }) or null
+export async function findBlob(key) {
+  return prisma.blob.findUnique({ where: { key } });
+}
+
+/**
+ * Drops one reference per entry of `keys` (a key appears once per version row
+ * removed) and deletes blobs nobody uses any more. Resolves the number of
+ * stored objects removed; storage failures are only logged.
+ */
+export async function releaseBlobs(keys) {
+  const counts = new Map();
+  for (const key of keys) counts.set(key, (counts.get(key) || 0) + 1);
+
+  for (const [key, count] of counts) {
+    await prisma.blob.updateMany({ where: { key }, data: { refCount: { decrement: count } } });
+  }
+  return deleteUnreferencedBlobs({ keys: [...counts.keys()] });
+}
+
+/**
+ * Removes blobs with no references that weren't handed out during the grace period:
+ * the given keys, or (without keys) every such orphan. Blobs still within it are left
+ * for the periodic sweep. Resolves how many were removed.
+ */
+export async function deleteUnreferencedBlobs({ keys } = {}) {
+  const storage = getStorage();
+  const orphans = await prisma.blob.findMany({
+    where: {
+      ...(keys ? { key: { in: keys } } : {}),
+      refCount: { lte: 0 },
+      lastUsedAt: { lt: new Date(Date.now() - ORPHAN_GRACE_MS) },
+    },
+  });
+
+  let removed = 0;
+  for (const blob of orphans) {
+    // the row goes first, and only if nothing picked the blob up again in the meantime
+    const { count } = await prisma.blob.deleteMany({
+      where: { id: blob.id, refCount: { lte: 0 }, lastUsedAt: blob.lastUsedAt },
+    });
+    if (!count) continue;
+    try {
+      await storage.delete(blob.key);
+      removed++;
+    } catch (e) {
+      console.warn('releaseBlobs: failed to remove blob', blob.key, e);
+    }
+  }
+  return removed;
+}
@@ -0,0 +1,120 @@
+// src/services/citations.js
+// The model is asked to end its answer with a SOURCES block of verbatim quotes.
+// Each quote is located in the stored text server-side; quotes we cannot find
+// are returned with verified: false instead of being trusted.
+
+export const CITATION_INSTRUCTIONS = [
+  'After the answer, add a line containing only "SOURCES:" followed by one line per supporting quote,',
+  'formatted as: [Passage <number>] "<short quote copied verbatim from that passage>".',
+  'Only quote text that appears in the passages. If the passages do not contain the answer, say so and omit SOURCES.',
+].join('\n');
+
+// Variant for questions spanning several documents: statements and quotes name their document
+export const MULTI_DOCUMENT_CITATION_INSTRUCTIONS = [
+  'Passages come from several documents. End every statement in the answer with the document it comes from, e.g. [Document 2].',
+  'After the answer, add a line containing only "SOURCES:" followed by one line per supporting quote,',
+  'formatted as: [Document <number>, Passage <number>] "<short quote copied verbatim from that passage>".',
+  'Only quote text that appears in the passages. If the passages do not contain the answer, say so and omit SOURCES.',
+].join('\n');
+
+const SOURCES_MARKER = /^\s*\**SOURCES:?\**\s*$/im;
+const SOURCE_LINE = /^\s*[-*]?\s*\[(?:Document\s+(\d+)\s*,\s*)?Passage\s+(\d+)\]\s*[:\-–]?\s*["“](.+?)["”]\s*$/i;
+
+// Splits raw model output into the answer text and the quoted sources.
+// `document` is only set for multi-document answers ([Document n, Passage m]).
+export function parseAnswer(raw) {
+  const text = String(raw || '');
+  const match = SOURCES_MARKER.exec(text);
+  if (!match) return { answer: text.trim(), quotes: [] };
+
+  const answer = text.slice(0, match.index).trim();
+  const quotes = text
+    .slice(match.index + match[0].length)
+    .split('\n')
+    .map(line => SOURCE_LINE.exec(line))
+    .filter(Boolean)
+    .map(m => ({
+      document: m[1] ? Number(m[1]) : null,
+      passage: Number(m[2]),
+      quote: m[3].trim(),
+    }));
+
+  return { answer, quotes };
+}
+
+// Collapses whitespace and case, keeping a map back to offsets in the original text
+function normalizeWithMap(text) {
+  let normalized = '';
+  const map = [];
+  let inSpace = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (/\s/.test(ch)) {
+      if (inSpace) continue;
+      inSpace = true;
+      normalized += ' ';
+    } else {
+      inSpace = false;
+      normalized += ch.toLowerCase();
+    }
+    map.push(i);
+  }
+  return { normalized, map };
+}
+
+function normalize(text) {
+  return text.replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+// All [start, end) ranges where `quote` occurs in `text`, exact first, then whitespace/case-insensitive
+function findOccurrences(text, quote, normalizedText) {
+  const found = [];
+  let idx = text.indexOf(quote);
+  while (idx !== -1) {
+    found.push({ start: idx, end: idx + quote.length });
+    idx = text.indexOf(quote, idx + 1);
+  }
+  if (found.length) return found;
+
+  const needle = normalize(quote);
+  if (!needle) return found;
+  const { normalized, map } = normalizedText;
+  idx = normalized.indexOf(needle);
+  while (idx !== -1) {
+    found.push({ start: map[idx], end: map[idx + needle.length - 1] + 1 });
+    idx = normalized.indexOf(needle, idx + 1);
+  }
+  return found;
+}
+
+export function pageForOffset(pages, offset) {
+  const page = pages.find(p => offset >= p.start && offset < p.end);
+  return page ? page.page : null;
+}
+
+/**
+ * Resolves quotes against the stored document text.
+ * `passages` are the chunks sent to the model (labelled by index + 1); when a quote
+ * occurs several times, the occurrence inside the cited passage wins.
+ */
+export function verifyCitations(quotes, { text, pages = [], passages = [] }) {
+  const normalizedText = normalizeWithMap(text || '');
+
+  return quotes.map(({ passage, quote }) => {
+    const cited = passages.find(p => p.index + 1 === passage);
+    const occurrences = quote.length >= 3 ? findOccurrences(text || '', quote, normalizedText) : [];
+    const hit = occurrences.find(o => cited && o.start >= cited.start && o.end <= cited.end) || occurrences[0];
+
+    if (!hit) {
+      return { quote, passage, page: null, start: null, end: null, verified: false };
+    }
+    return {
+      quote: text.slice(hit.start, hit.end),
+      passage,
+      page: pageForOffset(pages, hit.start),
+      start: hit.start,
+      end: hit.end,
+      verified: true,
+    };
+  });
+}
@@ -0,0 +1,167 @@
+// src/services/diff.js
+// Line diff (Myers O(ND)) used to compare the extracted text of two document versions.
+// Output mirrors a unified diff: hunks of ' ' / '-' / '+' lines with surrounding context.
+
+// Beyond this many edits the middle section is reported as a wholesale replacement
+const MAX_EDIT_DISTANCE = Number(process.env.DIFF_MAX_EDITS) || 2000;
+
+function splitLines(text) {
+  if (!text) return [];
+  return String(text).replace(/\r\n?/g, '\n').split('\n');
+}
+
+// Shortest edit script between two line arrays as [{ type, line }] in order
+function myers(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  let v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  let found = -1;
+  for (let d = 0; d <= max && found < 0; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x;
+      if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+        x = v[offset + k + 1];
+      } else {
+        x = v[offset + k - 1] + 1;
+      }
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = d;
+        break;
+      }
+    }
+  }
+
+  if (found < 0) {
+    // Too different to diff line by line within budget
+    return [
+      ...a.map(line => ({ type: '-', line })),
+      ...b.map(line => ({ type: '+', line })),
+    ];
+  }
+
+  // Walk the trace backwards to recover the script
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = found; d > 0; d--) {
+    const prev = trace[d];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && prev[offset + k - 1] < prev[offset + k + 1])) ? k + 1 : k - 1;
+    const prevX = prev[offset + prevK];
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      ops.push({ type: ' ', line: a[--x] });
+      y--;
+    }
+    if (x === prevX) ops.push({ type: '+', line: b[--y] });
+    else ops.push({ type: '-', line: a[--x] });
+  }
+  while (x > 0 && y > 0) {
+    ops.push({ type: ' ', line: a[--x] });
+    y--;
+  }
+  return ops.reverse();
+}
+
+// Groups the edit script into hunks with `context` unchanged lines around each change
+function toHunks(ops, context) {
+  const hunks = [];
+  let oldLine = 1;
+  let newLine = 1;
+  let current = null;
+  let trailing = 0;
+
+  ops.forEach((op, i) => {
+    if (op.type === ' ') {
+      if (current) {
+        const nextChange = ops.slice(i, i + context + 1).some(o => o.type !== ' ');
+        if (trailing < context || nextChange) {
+          current.lines.push({ type: ' ', text: op.line });
+          current.oldLines++;
+          current.newLines++;
+          trailing++;
+        } else {
+          hunks.push(current);
+          current = null;
+        }
+      }
+    } else {
+      if (!current) {
+        const lead = [];
+        for (let j = i - 1; j >= 0 && lead.length < context && ops[j].type === ' '; j--) lead.unshift(ops[j]);
+        current = {
+          oldStart: oldLine - lead.length,
+          oldLines: lead.length,
+          newStart: newLine - lead.length,
+          newLines: lead.length,
+          lines: lead.map(o => ({ type: ' ', text: o.line })),
+        };
+      }
+      current.lines.push({ type: op.type, text: op.line });
+      if (op.type === '-') current.oldLines++;
+      else current.newLines++;
+      trailing = 0;
+    }
+    if (op.type !== '+') oldLine++;
+    if (op.type !== '-') newLine++;
+  });
+  if (current) hunks.push(current);
+  return hunks;
+}
+
+/**
+ * Diffs two texts line by line.
+ * Returns { stats: { added, removed, unchanged }, hunks: [{ oldStart, oldLines, newStart, newLines, lines }] }.
+ */
+export function diffLines(oldText, newText, { context = 3 } = {}) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  // Common prefix/suffix never need the O(ND) search
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = [
+    ...a.slice(0, start).map(line => ({ type: ' ', line })),
+    ...myers(a.slice(start, endA), b.slice(start, endB)),
+    ...a.slice(endA).map(line => ({ type: ' ', line })),
+  ];
+
+  const stats = { added: 0, removed: 0, unchanged: 0 };
+  for (const op of ops) {
+    if (op.type === '+') stats.added++;
+    else if (op.type === '-') stats.removed++;
+    else stats.unchanged++;
+  }
+  return { stats, hunks: toHunks(ops, context) };
+}
+
+// Renders diffLines() hunks as a classic unified diff
+export function formatUnifiedDiff(hunks, { fromLabel = 'a', toLabel = 'b' } = {}) {
+  const out = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+  for (const h of hunks) {
+    // An empty range is addressed by the line before it, as in GNU diff
+    const oldStart = h.oldLines ? h.oldStart : h.oldStart - 1;
+    const newStart = h.newLines ? h.newStart : h.newStart - 1;
+    out.push(`@@ -${oldStart},${h.oldLines} +${newStart},${h.newLines} @@`);
+    for (const l of h.lines) out.push(l.type + l.text);
+  }
+  return out.join('\n') + '\n';
+}
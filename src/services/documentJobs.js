@@ -0,0 +1,149 @@
+// src/services/documentJobs.js
+// Job handlers for documents. Importing this module registers them, so both the
+// API process (which enqueues) and the worker (which runs) load it.
+//   document.process – extract + index the current file, snapshot the text on its version
+//   summary.generate – build a summary in the background (?async=true on /summary)
+//   fields.extract   – schema-guided field extraction (?async=true on /extract)
+//   trash.purge      – removes documents past the trash retention period and orphaned blobs,
+//                      then reschedules itself
+import { prisma } from '../prismaClient.js';
+import { indexDocument } from './documentText.js';
+import { registerJobHandler, enqueueJob } from './jobs.js';
+import { getSummary } from './summaries.js';
+import { extractFields } from './extraction.js';
+import { purgeExpiredTrash, TRASH_RETENTION_DAYS } from './trash.js';
+import { deleteUnreferencedBlobs } from './blobs.js';
+
+const TRASH_PURGE_INTERVAL_MS = Number(process.env.TRASH_PURGE_INTERVAL_MS) || 60 * 60 * 1000;
+
+// A job whose outcome is final; the queue does not retry these
+class PermanentJobError extends Error {
+  constructor(message) {
+    super(message);
+    this.retryable = false;
+  }
+}
+
+// Compact view of a stored extraction for API responses
+export function summarizeExtraction(extraction) {
+  return {
+    status: extraction.status,
+    format: extraction.format,
+    extractor: extraction.extractor,
+    pageCount: extraction.pages.length,
+    ocrPages: extraction.pages.filter(p => p.ocr).map(p => p.page),
+    ocrConfidence: extraction.ocrConfidence,
+    error: extraction.error,
+  };
+}
+
+async function loadDocument(documentId) {
+  const document = await prisma.document.findUnique({ where: { id: documentId } });
+  if (!document) throw new PermanentJobError('Document no longer exists');
+  return document;
+}
+
+// ------------------------------------------- DOCUMENT PROCESSING -------------------------------------------
+registerJobHandler(
+  'document.process',
+  async ({ documentId, version }, { progress }) => {
+    const document = await loadDocument(documentId);
+    // the file was replaced again in the meantime; the newer job indexes it
+    if (document.currentVersion !== version) return { skipped: true, reason: 'superseded' };
+
+    await prisma.document.update({ where: { id: documentId }, data: { processingStatus: 'processing', processingError: null } });
+    await progress(10, 'Extracting text');
+    const extraction = await indexDocument(documentId, document.filePath, { name: document.originalName });
+
+    await progress(90, 'Saving version text');
+    await prisma.documentVersion.updateMany({
+      where: { documentId, version },
+      data: { text: extraction.content },
+    });
+    await prisma.document.update({
+      where: { id: documentId },
+      data: extraction.status === 'failed'
+        ? { processingStatus: 'failed', processingError: extraction.error }
+        : { processingStatus: 'ready', processingError: null },
+    });
+    return summarizeExtraction(extraction);
+  },
+  {
+    onFailure: async ({ documentId }, err) => {
+      await prisma.document.updateMany({
+        where: { id: documentId },
+        data: { processingStatus: 'failed', processingError: String(err?.message || err) },
+      });
+    },
+  }
+);
+
+/**
+ * Marks the document's current version as waiting for extraction and queues it.
+ * Resolves the Job row.
+ */
+export async function enqueueDocumentProcessing(document, { userId } = {}) {
+  await prisma.document.update({
+    where: { id: document.id },
+    data: { processingStatus: 'queued', processingError: null },
+  });
+  return enqueueJob(
+    'document.process',
+    { documentId: document.id, version: document.currentVersion },
+    { userId, documentId: document.id }
+  );
+}
+
+// ------------------------------------------- AI TASKS -------------------------------------------
+// Model errors keep their retryable flag, so rate limits are retried and bad requests are not
+registerJobHandler(
+  'summary.generate',
+  async ({ documentId, style, refresh, provider, model }, { progress }) => {
+    const document = await loadDocument(documentId);
+    await progress(10, 'Summarizing');
+    const summary = await getSummary(document, style, { refresh, provider, model });
+    // 409: the document is still being processed, so try again later
+    if (summary.error) throw summary.status === 409 ? new Error(summary.error) : new PermanentJobError(summary.error);
+    return summary;
+  },
+  { maxAttempts: 2 }
+);
+
+registerJobHandler(
+  'fields.extract',
+  async ({ documentId, schema, provider, model }, { progress }) => {
+    const document = await loadDocument(documentId);
+    await progress(10, 'Extracting fields');
+    const result = await extractFields(document, schema, { provider, model });
+    if (result.error) throw result.status === 409 ? new Error(result.error) : new PermanentJobError(result.error);
+    return { documentId, version: document.currentVersion, ...result };
+  },
+  { maxAttempts: 2 }
+);
+
+// ------------------------------------------- TRASH PURGE -------------------------------------------
+registerJobHandler(
+  'trash.purge',
+  async () => {
+    const purged = await purgeExpiredTrash();
+    if (purged.documents) console.log(`[trash] purged ${purged.documents} document(s), ${purged.files} file(s)`);
+    // blobs left behind by uploads that failed before a version was recorded
+    const orphanBlobs = await deleteUnreferencedBlobs();
+    await scheduleTrashPurge(new Date(Date.now() + TRASH_PURGE_INTERVAL_MS));
+    return { ...purged, orphanBlobs };
+  },
+  {
+    // keep the schedule going even when a run gave up
+    onFailure: () => scheduleTrashPurge(new Date(Date.now() + TRASH_PURGE_INTERVAL_MS)),
+  }
+);
+
+/**
+ * Makes sure a purge run is queued (workers call this on start). Does nothing
+ * when TRASH_RETENTION_DAYS is 0. Resolves the queued Job row or null.
+ */
+export async function scheduleTrashPurge(runAt = new Date()) {
+  if (!TRASH_RETENTION_DAYS) return null;
+  const pending = await prisma.job.findFirst({ where: { type: 'trash.purge', status: 'queued' } });
+  return pending ?? enqueueJob('trash.purge', {}, { runAt });
+}
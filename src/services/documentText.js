@@ -0,0 +1,147 @@
+// src/services/documentText.js
+// Extracted text is stored once per document (at upload / file replacement)
+// so consumers like /ask never have to re-run the PDF/DOCX parsers.
+import { prisma } from '../prismaClient.js';
+import { extractDocument, UnsupportedFormatError, FORMATS } from './extractText.js';
+import { chunkText } from './retrieval.js';
+import { getStorage } from './storage/index.js';
+
+// Runs extraction for a stored file and upserts the stored text + page boundaries.
+// `name` (the original filename) tells text formats apart. Never throws for
+// extraction problems – they are recorded as status 'empty' / 'failed'.
+export async function indexDocument(documentId, filePath, { name } = {}) {
+  let result = { text: null, pages: [], extractor: null, format: null, ocrConfidence: null };
+  let status = 'ready';
+  let error = null;
+
+  try {
+    const storage = getStorage();
+    const stat = await storage.stat(filePath);
+    if (!stat) {
+      status = 'failed';
+      error = 'File not found';
+    } else if (stat.size === 0) {
+      status = 'empty';
+      error = 'Uploaded file is empty';
+    } else {
+      result = await storage.withLocalFile(filePath, localPath => extractDocument(localPath, { name }));
+      if (!result.text) status = 'empty';
+    }
+  } catch (e) {
+    status = 'failed';
+    if (e instanceof UnsupportedFormatError) {
+      error = e.message;
+    } else {
+      console.warn('indexDocument: extraction failed for doc', documentId, e);
+      error = String(e?.message || e);
+    }
+  }
+
+  const data = {
+    status,
+    format: result.format,
+    extractor: result.extractor,
+    content: result.text,
+    error,
+    ocrConfidence: result.ocrConfidence,
+    extractedAt: new Date(),
+  };
+
+  return prisma.$transaction(async tx => {
+    const record = await tx.documentText.upsert({
+      where: { documentId },
+      create: { documentId, ...data },
+      update: data,
+    });
+    await tx.documentPage.deleteMany({ where: { textId: record.id } });
+    await tx.documentChunk.deleteMany({ where: { textId: record.id } });
+    if (result.pages.length) {
+      await tx.documentPage.createMany({
+        data: result.pages.map(p => ({
+          textId: record.id, page: p.page, start: p.start, end: p.end, ocr: p.ocr, confidence: p.confidence,
+        })),
+      });
+    }
+    // Keep the list metadata (type, page count) in step with the current file
+    await tx.document.update({
+      where: { id: documentId },
+      data: {
+        pageCount: result.pages.length || null,
+        ...(result.format ? { mimeType: FORMATS[result.format].mime } : {}),
+      },
+    });
+    const chunks = chunkText(result.text);
+    if (chunks.length) {
+      await tx.documentChunk.createMany({
+        data: chunks.map(c => ({ textId: record.id, index: c.index, start: c.start, end: c.end, content: c.content })),
+      });
+    }
+    return { ...record, pages: result.pages, chunkCount: chunks.length };
+  });
+}
+
+// Returns the stored extraction (with ordered pages) or null if the document was never indexed.
+export async function getDocumentText(documentId) {
+  return prisma.documentText.findUnique({
+    where: { documentId },
+    include: { pages: { orderBy: { page: 'asc' } } },
+  });
+}
+
+// Returns the stored retrieval chunks, building them for texts indexed before chunking existed.
+export async function getDocumentChunks(stored) {
+  const chunks = await prisma.documentChunk.findMany({
+    where: { textId: stored.id },
+    orderBy: { index: 'asc' },
+  });
+  if (chunks.length || !stored.content) return chunks;
+
+  const built = chunkText(stored.content);
+  await prisma.documentChunk.createMany({
+    data: built.map(c => ({ textId: stored.id, index: c.index, start: c.start, end: c.end, content: c.content })),
+  });
+  return built;
+}
+
+export const PROCESSING_ERROR = 'Document is still being processed. Try again shortly.';
+
+// Same as getDocumentText, but indexes documents uploaded before text was persisted.
+// While the worker has the document queued it resolves { status: 'processing', error }.
+export async function getOrIndexDocumentText(document) {
+  if (['queued', 'processing'].includes(document.processingStatus)) {
+    return { status: 'processing', content: null, error: PROCESSING_ERROR };
+  }
+  const stored = await getDocumentText(document.id);
+  if (stored) return stored;
+  await indexDocument(document.id, document.filePath, { name: document.originalName });
+  return getDocumentText(document.id);
+}
+
+// Copies the stored extraction to another document (used by duplicate) without re-extracting.
+export async function copyDocumentText(sourceId, targetId) {
+  const source = await getDocumentText(sourceId);
+  if (!source) return null;
+
+  return prisma.documentText.create({
+    data: {
+      documentId: targetId,
+      status: source.status,
+      format: source.format,
+      extractor: source.extractor,
+      content: source.content,
+      error: source.error,
+      ocrConfidence: source.ocrConfidence,
+      extractedAt: source.extractedAt,
+      pages: {
+        create: source.pages.map(p => ({
+          page: p.page, start: p.start, end: p.end, ocr: p.ocr, confidence: p.confidence,
+        })),
+      },
+      chunks: {
+        create: (await getDocumentChunks(source)).map(c => ({
+          index: c.index, start: c.start, end: c.end, content: c.content,
+        })),
+      },
+    },
+  });
+}
@@ -0,0 +1,22 @@
+// src/services/exec.js
+// Promise wrapper around child_process.execFile for the external tools used
+// during extraction (pdftotext, pdftoppm, tesseract), so they no longer block
+// the event loop. Never rejects: failures come back as a non-zero status.
+import { execFile } from 'child_process';
+
+const DEFAULT_MAX_BUFFER = 64 * 1024 * 1024;
+
+/**
+ * Runs `command` with `args`. Resolves { status, stdout, stderr, error } where
+ * status is the exit code (null when the process could not be started or was
+ * killed by the timeout).
+ */
+export function run(command, args, { timeout = 0, encoding = 'utf8', maxBuffer = DEFAULT_MAX_BUFFER } = {}) {
+  return new Promise(resolve => {
+    execFile(command, args, { timeout, encoding, maxBuffer }, (error, stdout, stderr) => {
+      let status = 0;
+      if (error) status = typeof error.code === 'number' ? error.code : null;
+      resolve({ status, stdout, stderr, error: error || null });
+    });
+  });
+}
@@ -2,94 +2,337 @@ import fs from 'fs';
 import PDFParser from 'pdf2json';
 // no static import for mammoth or pdf-parse to avoid startup errors if missing
 import path from 'path';
-import { spawnSync } from 'child_process';
+import { run } from './exec.js';
+import { isOcrAvailable, ocrImage, ocrPdfPages } from './ocr.js';
+import { htmlToText, rtfToText } from './formats/markup.js';
+import { extractXlsx, extractPptx, extractOdt } from './formats/office.js';
+import { emlToText, looksLikeEmail } from './formats/email.js';
+
+const PAGE_SEPARATOR = '\n\n';
+
+// Joins per-page text and records where each page starts/ends in the joined string.
+// `ocrResults` (page -> { confidence }) marks pages whose text came from OCR.
+function joinPages(pageTexts, ocrResults = new Map()) {
+  let text = '';
+  const pages = [];
+  pageTexts.forEach((pageText, i) => {
+    if (i > 0) text += PAGE_SEPARATOR;
+    const start = text.length;
+    text += (pageText || '').trim();
+    const ocr = ocrResults.get(i + 1);
+    pages.push({ page: i + 1, start, end: text.length, ocr: Boolean(ocr), confidence: ocr ? ocr.confidence : null });
+  });
+  return { text, pages, ocrConfidence: meanConfidence(ocrResults) };
+}
+
+function meanConfidence(ocrResults) {
+  const values = [...ocrResults.values()].map(r => r.confidence).filter(c => c !== null);
+  return values.length ? Math.round((values.reduce((a, b) => a + b, 0) / values.length) * 10) / 10 : null;
+}
 
 function parsePdf(filePath) {
   return new Promise((resolve, reject) => {
-    const pdfParser = new PDFParser();
+    // second arg enables raw text output (getRawTextContent is empty without it)
+    const pdfParser = new PDFParser(null, true);
 
     pdfParser.on('pdfParser_dataError', errData => reject(errData.parserError));
-    pdfParser.on('pdfParser_dataReady', pdfData => {
-      resolve(pdfParser.getRawTextContent());
+    pdfParser.on('pdfParser_dataReady', () => {
+      const raw = pdfParser.getRawTextContent().replace(/\r\n/g, '\n');
+      // pdf2json marks the end of every page with "----Page (n) Break----"
+      const pageTexts = raw.split(/-+Page \(\d+\) Break-+/);
+      if (pageTexts.length > 1 && !pageTexts[pageTexts.length - 1].trim()) pageTexts.pop();
+      resolve(pageTexts);
     });
 
     pdfParser.loadPDF(filePath);
   });
 }
 
+// Same line-joining logic as pdf-parse's default renderer, kept per page
+function renderPdfPage(pageData) {
+  return pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+    .then(textContent => {
+      let lastY, text = '';
+      for (const item of textContent.items) {
+        if (lastY == item.transform[5] || !lastY) {
+          text += item.str;
+        } else {
+          text += '\n' + item.str;
+        }
+        lastY = item.transform[5];
+      }
+      return text;
+    });
+}
+
 async function parsePdfViaPdfParse(filePath) {
-  // Attempt extraction using pdf-parse (works for many PDFs)
+  // Attempt extraction using pdf-parse (works for many PDFs).
+  // Import the lib entry directly: the package index runs a debug script when loaded as ESM.
   try {
-    const { default: pdfParse } = await import('pdf-parse');
-    const dataBuffer = fs.readFileSync(filePath);
-    const result = await pdfParse(dataBuffer);
-    return result?.text || '';
+    const { default: pdfParse } = await import('pdf-parse/lib/pdf-parse.js');
+    const dataBuffer = await fs.promises.readFile(filePath);
+    const pageTexts = [];
+    const result = await pdfParse(dataBuffer, {
+      pagerender: async pageData => {
+        const text = await renderPdfPage(pageData);
+        pageTexts[pageData.pageIndex] = text;
+        return text;
+      }
+    });
+    for (let i = 0; i < (result?.numpages || 0); i++) {
+      if (pageTexts[i] === undefined) pageTexts[i] = '';
+    }
+    return pageTexts;
   } catch (e) {
-    return '';
+    return [];
   }
 }
 
-function parsePdfViaPdftotext(filePath) {
+async function parsePdfViaPdftotext(filePath) {
   try {
-    const res = spawnSync('pdftotext', ['-layout', filePath, '-'], {
-      encoding: 'utf8'
-    });
+    const res = await run('pdftotext', ['-layout', filePath, '-']);
     if (res.status === 0 && res.stdout && res.stdout.trim().length > 0) {
-      return res.stdout;
+      // pdftotext ends every page with a form feed
+      const pageTexts = res.stdout.split('\f');
+      if (pageTexts.length > 1 && !pageTexts[pageTexts.length - 1].trim()) pageTexts.pop();
+      return pageTexts;
     }
   } catch {}
-  return '';
+  return [];
 }
 
-function looksLikePdf(filePath) {
+function hasText(pageTexts) {
+  return pageTexts.some(t => t && t.trim());
+}
+
+// Decodes UTF-8 (BOM stripped), falling back to latin1 for legacy 8-bit text
+function decodeText(buffer) {
   try {
-    const fd = fs.openSync(filePath, 'r');
-    const buf = Buffer.alloc(5);
-    fs.readSync(fd, buf, 0, 5, 0);
-    fs.closeSync(fd);
-    return buf.toString('utf8') === '%PDF-';
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer).replace(/^﻿/, '');
+  } catch {
+    return buffer.toString('latin1');
+  }
+}
+
+async function readTextFile(filePath) {
+  return decodeText(await fs.promises.readFile(filePath));
+}
+
+// ------------------------------------------- FORMAT EXTRACTORS -------------------------------------------
+// Each returns { pageTexts, extractor, ocrResults? }
+
+async function extractPdf(filePath) {
+  // Try pdf-parse first, fallback to pdf2json
+  let extractor = 'pdf-parse';
+  let pageTexts = await parsePdfViaPdfParse(filePath);
+  if (!hasText(pageTexts)) {
+    extractor = 'pdf2json';
+    pageTexts = await parsePdf(filePath).catch(() => []);
+  }
+  if (!hasText(pageTexts)) {
+    // Optional system-level fallback using Poppler if installed
+    extractor = 'pdftotext';
+    pageTexts = await parsePdfViaPdftotext(filePath);
+  }
+
+  // Scanned pages have no text layer: rasterize and OCR just those pages
+  let ocrResults = new Map();
+  const blankPages = pageTexts.map((t, i) => (t && t.trim() ? null : i + 1)).filter(Boolean);
+  if ((blankPages.length || pageTexts.length === 0) && await isOcrAvailable()) {
+    ocrResults = await ocrPdfPages(filePath, pageTexts.length ? blankPages : null);
+    for (const [page, result] of ocrResults) pageTexts[page - 1] = result.text;
+    for (let i = 0; i < pageTexts.length; i++) if (pageTexts[i] === undefined) pageTexts[i] = '';
+    if (ocrResults.size) extractor = hasText(pageTexts.filter((_, i) => !ocrResults.has(i + 1))) ? `${extractor}+ocr` : 'ocr';
+  }
+  return { pageTexts, extractor, ocrResults };
+}
+
+async function extractDocx(filePath) {
+  const mammoth = await import('mammoth');
+  const result = await mammoth.extractRawText({ path: filePath });
+  // DOCX has no fixed pagination; treat the whole body as page 1
+  return { pageTexts: [result?.value || ''], extractor: 'mammoth' };
+}
+
+async function extractImage(filePath) {
+  const results = await ocrImage(filePath);
+  return {
+    pageTexts: results.map(r => r.text),
+    extractor: 'tesseract',
+    ocrResults: new Map(results.map((r, i) => [i + 1, r])),
+  };
+}
+
+async function loadZip(filePath) {
+  const { default: JSZip } = await import('jszip');
+  return JSZip.loadAsync(await fs.promises.readFile(filePath));
+}
+
+// ------------------------------------------- FORMAT REGISTRY -------------------------------------------
+// type -> { mime, extract(filePath), available?() }. detectFormat() picks the type
+// from magic bytes first and only uses the extension to tell text formats apart.
+export const FORMATS = {
+  pdf: { mime: 'application/pdf', extract: extractPdf },
+  docx: { mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extract: extractDocx },
+  xlsx: {
+    mime: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extract: async filePath => ({ pageTexts: await extractXlsx(await loadZip(filePath)), extractor: 'xlsx' }),
+  },
+  pptx: {
+    mime: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    extract: async filePath => ({ pageTexts: await extractPptx(await loadZip(filePath)), extractor: 'pptx' }),
+  },
+  odt: {
+    mime: 'application/vnd.oasis.opendocument.text',
+    extract: async filePath => ({ pageTexts: await extractOdt(await loadZip(filePath)), extractor: 'odt' }),
+  },
+  rtf: {
+    mime: 'application/rtf',
+    extract: async filePath => ({ pageTexts: [rtfToText(await fs.promises.readFile(filePath, 'latin1'))], extractor: 'rtf' }),
+  },
+  html: {
+    mime: 'text/html',
+    extract: async filePath => ({ pageTexts: [htmlToText(await readTextFile(filePath))], extractor: 'html' }),
+  },
+  eml: {
+    mime: 'message/rfc822',
+    extract: async filePath => ({ pageTexts: [emlToText(await fs.promises.readFile(filePath, 'latin1'))], extractor: 'eml' }),
+  },
+  csv: {
+    mime: 'text/csv',
+    extract: async filePath => ({ pageTexts: [await readTextFile(filePath)], extractor: 'text' }),
+  },
+  markdown: {
+    mime: 'text/markdown',
+    extract: async filePath => ({ pageTexts: [await readTextFile(filePath)], extractor: 'text' }),
+  },
+  txt: {
+    mime: 'text/plain',
+    extract: async filePath => ({ pageTexts: [await readTextFile(filePath)], extractor: 'text' }),
+  },
+  png: { mime: 'image/png', extract: extractImage, available: isOcrAvailable },
+  jpeg: { mime: 'image/jpeg', extract: extractImage, available: isOcrAvailable },
+  tiff: { mime: 'image/tiff', extract: extractImage, available: isOcrAvailable },
+};
+
+// Format types that can currently be extracted (images only while OCR is available)
+export async function listSupportedFormats() {
+  const types = [];
+  for (const type of Object.keys(FORMATS)) {
+    if (!FORMATS[type].available || await FORMATS[type].available()) types.push(type);
+  }
+  return types;
+}
+
+export class UnsupportedFormatError extends Error {
+  constructor(message = 'Unsupported file format') {
+    super(message);
+    this.name = 'UnsupportedFormatError';
+  }
+}
+
+async function readMagic(filePath, length) {
+  let handle;
+  try {
+    handle = await fs.promises.open(filePath, 'r');
+    const buf = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buf, 0, length, 0);
+    return buf.subarray(0, bytesRead);
   } catch (e) {
-    return false;
+    return Buffer.alloc(0);
+  } finally {
+    await handle?.close();
   }
 }
 
-export async function extractText(filePath) {
+// Tells DOCX / XLSX / PPTX / ODT apart by the parts inside the zip container
+async function detectZipFormat(filePath) {
   try {
-    console.info(`[extractText] start path=${filePath} ext=${path.extname(filePath)} looksPdf=${looksLikePdf(filePath)}`);
+    const zip = await loadZip(filePath);
+    if (zip.file('word/document.xml')) return 'docx';
+    if (zip.file('xl/workbook.xml')) return 'xlsx';
+    if (zip.file('ppt/presentation.xml')) return 'pptx';
+    const mimetype = await zip.file('mimetype')?.async('string');
+    if (mimetype?.trim() === FORMATS.odt.mime) return 'odt';
   } catch {}
-  // Prefer extension, but also handle files saved without extensions
-  if (filePath.endsWith('.pdf') || looksLikePdf(filePath)) {
-    // Try pdf-parse first, fallback to pdf2json
-    let text = await parsePdfViaPdfParse(filePath);
-    if (!text || !text.trim()) {
-      text = await parsePdf(filePath);
-    }
-    if (!text || !text.trim()) {
-      // Optional system-level fallback using Poppler if installed
-      text = parsePdfViaPdftotext(filePath);
-    }
-    try { console.info(`[extractText] pdf text length=${text ? text.length : 0}`); } catch {}
-    return text && text.trim() ? text : null;
-  }
+  return null;
+}
 
-  if (filePath.endsWith('.docx')) {
-    try {
-      const mammoth = await import('mammoth');
-      const result = await mammoth.extractRawText({ path: filePath });
-      try { console.info(`[extractText] docx text length=${result?.value ? result.value.length : 0}`); } catch {}
-      return result.value && result.value.trim() ? result.value : null;
-    } catch {
-      return null;
-    }
+// Text-only content: no NUL bytes and few control characters
+function looksLikeText(buffer) {
+  if (buffer.length === 0 || buffer.includes(0)) return false;
+  const sample = decodeText(buffer);
+  const control = sample.match(/[\x00-\x08\x0E-\x1F]/g)?.length || 0;
+  return control / sample.length < 0.01;
+}
+
+function detectTextFormat(name, sample) {
+  const ext = path.extname(name).toLowerCase();
+  const text = decodeText(sample);
+  if (['.csv', '.tsv'].includes(ext)) return 'csv';
+  if (['.md', '.markdown'].includes(ext)) return 'markdown';
+  if (ext === '.eml' || looksLikeEmail(text)) return 'eml';
+  if (['.html', '.htm', '.xhtml'].includes(ext) || /^\s*(<!doctype html|<html[\s>]|<head[\s>]|<body[\s>])/i.test(text)) {
+    return 'html';
   }
+  return 'txt';
+}
+
+/**
+ * Detects the format of a stored file from its magic bytes (extension only as a
+ * hint between text formats). Returns { type, mime } or null when unsupported.
+ * Blobs are stored without an extension, so pass the original filename as `name`.
+ */
+export async function detectFormat(filePath, { name } = {}) {
+  const magic = await readMagic(filePath, 8192);
+  const hex = magic.subarray(0, 4).toString('hex');
+  let type = null;
+
+  if (magic.subarray(0, 5).toString('latin1') === '%PDF-') type = 'pdf';
+  else if (hex === '504b0304') type = await detectZipFormat(filePath);
+  else if (magic.subarray(0, 5).toString('latin1') === '{\\rtf') type = 'rtf';
+  else if (hex.startsWith('89504e47')) type = 'png';
+  else if (hex.startsWith('ffd8ff')) type = 'jpeg';
+  else if (hex === '49492a00' || hex === '4d4d002a') type = 'tiff';
+  else if (looksLikeText(magic)) type = detectTextFormat(name || filePath, magic);
+
+  const format = type && FORMATS[type];
+  if (!format || (format.available && !(await format.available()))) return null;
+  return { type, mime: format.mime };
+}
 
-  // Best-effort fallback: try DOCX extraction even without extension
+/**
+ * Extracts text from any registered format.
+ * Returns { text, pages: [{ page, start, end, ocr, confidence }], extractor, format, ocrConfidence }
+ * where page offsets index into `text`; `text` is null when nothing could be extracted.
+ * Throws UnsupportedFormatError when the file is not a registered format.
+ * PDF pages without a text layer, and images, go through OCR when it is available.
+ */
+export async function extractDocument(filePath, { name } = {}) {
+  const format = await detectFormat(filePath, { name });
   try {
-    const mammoth = await import('mammoth');
-    const result = await mammoth.extractRawText({ path: filePath });
-    try { console.info(`[extractText] fallback docx text length=${result?.value ? result.value.length : 0}`); } catch {}
-    if (result?.value && result.value.trim()) return result.value;
+    console.info(`[extractText] start path=${filePath} ext=${path.extname(filePath)} format=${format?.type || 'unsupported'}`);
   } catch {}
+  if (!format) throw new UnsupportedFormatError();
 
-  return null;
+  const { pageTexts, extractor, ocrResults } = await FORMATS[format.type].extract(filePath);
+  const joined = joinPages(pageTexts, ocrResults);
+  try {
+    console.info(`[extractText] ${format.type} text length=${joined.text.length} pages=${joined.pages.length} ocrPages=${ocrResults?.size || 0} extractor=${extractor}`);
+  } catch {}
+
+  if (!joined.text.trim()) {
+    return { text: null, pages: [], extractor, format: format.type, ocrConfidence: null };
+  }
+  return { ...joined, extractor, format: format.type };
+}
+
+export async function extractText(filePath, options) {
+  try {
+    const { text } = await extractDocument(filePath, options);
+    return text;
+  } catch (e) {
+    if (e instanceof UnsupportedFormatError) return null;
+    throw e;
+  }
 }
@@ -0,0 +1,103 @@
+// src/services/extraction.js
+// Structured key-field extraction: the caller sends a JSON schema, the model
+// fills it from the most relevant passages, and the reply is validated. Invalid
+// replies are retried once with the problems listed; whatever still cannot be
+// filled is reported as `missing` / `invalid` instead of being guessed.
+import { getOrIndexDocumentText, getDocumentChunks } from './documentText.js';
+import { selectPassages } from './retrieval.js';
+import { generate } from './llm/index.js';
+import { LlmError } from './llm/errors.js';
+import { UNEXTRACTABLE_ERROR } from './qa.js';
+import { coerceToSchema, parseJsonObject } from './jsonSchema.js';
+
+const MAX_CONTEXT_CHARS = Number(process.env.MAX_CONTEXT_CHARS) || 12000;
+const MAX_ATTEMPTS = Number(process.env.EXTRACT_MAX_ATTEMPTS) || 2;
+
+// Field names and descriptions double as the retrieval query
+function schemaTerms(schema) {
+  const terms = [schema.description || ''];
+  for (const [key, child] of Object.entries(schema.properties || {})) {
+    terms.push(key.replace(/[_-]+/g, ' ').replace(/([a-z])([A-Z])/g, '$1 $2'), ...schemaTerms(child));
+  }
+  if (schema.items) terms.push(...schemaTerms(schema.items));
+  return terms.filter(Boolean);
+}
+
+function buildPrompt(document, context, schema, feedback) {
+  return [
+    `Extract structured data from the document "${document.title}".`,
+    `Document text:\n\n${context}`,
+    'Respond with a single JSON object that matches this JSON schema, and nothing else:',
+    '```json\n' + JSON.stringify(schema, null, 2) + '\n```',
+    'Rules: use only information stated in the document; use null for anything not found; ' +
+      'dates as YYYY-MM-DD; numbers without currency symbols or thousands separators.',
+    feedback ? `Your previous reply had these problems, fix them:\n${feedback}` : null,
+  ].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Resolves { data, missing, invalid, attempts, provider, model, usage }
+ * or { status, error } when the document has no text.
+ * Throws LlmError (code 'invalid_output') when no attempt returned JSON.
+ */
+export async function extractFields(document, schema, { provider, model } = {}) {
+  const stored = await getOrIndexDocumentText(document);
+  if (stored.status !== 'ready' || !stored.content || !stored.content.trim()) {
+    return { status: stored.status === 'processing' ? 409 : 422, error: stored.error || UNEXTRACTABLE_ERROR };
+  }
+
+  // Small documents go in whole; long ones contribute the passages matching the field names
+  let context = stored.content;
+  if (context.length > MAX_CONTEXT_CHARS) {
+    const chunks = await getDocumentChunks(stored);
+    context = selectPassages(chunks, schemaTerms(schema).join(' '), { limit: 12, maxChars: MAX_CONTEXT_CHARS })
+      .map(p => p.content)
+      .join('\n\n[...]\n\n');
+  }
+
+  let best = null;
+  let feedback = null;
+  const usage = { promptTokens: 0, completionTokens: 0 };
+  let lastResult = null;
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const result = await generate(buildPrompt(document, context, schema, feedback), { provider, model });
+    lastResult = result;
+    usage.promptTokens += result.usage?.promptTokens || 0;
+    usage.completionTokens += result.usage?.completionTokens || 0;
+
+    const parsed = parseJsonObject(result.text);
+    if (!parsed) {
+      feedback = '- The reply was not a valid JSON object.';
+      continue;
+    }
+
+    const checked = coerceToSchema(parsed, schema);
+    const missingRequired = (schema.required || []).filter(key => checked.value[key] === null);
+    // Keep the attempt with the fewest problems (later attempts win ties)
+    const score = checked.invalid.length * 2 + checked.missing.length;
+    if (!best || score <= best.score) best = { ...checked, score, attempts: attempt };
+    if (!checked.invalid.length && !missingRequired.length) break;
+
+    feedback = [
+      ...checked.invalid.map(i => `- ${i.path}: ${i.error}`),
+      ...missingRequired.map(key => `- $.${key} is required; look for it again and only use null if it is truly absent`),
+    ].join('\n');
+  }
+
+  if (!best) {
+    throw new LlmError('The model did not return valid JSON.', {
+      status: 502, code: 'invalid_output', provider: lastResult?.provider,
+    });
+  }
+
+  return {
+    data: best.value,
+    missing: best.missing,
+    invalid: best.invalid,
+    attempts: best.attempts,
+    provider: lastResult.provider,
+    model: lastResult.model,
+    usage,
+  };
+}
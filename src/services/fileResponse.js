@@ -0,0 +1,132 @@
+// src/services/fileResponse.js
+// Streams stored files to the client: Content-Type from the detected format,
+// Content-Disposition with the original filename, single-range requests
+// (206 / 416) and strong ETags (the SHA-256 of the file when known).
+import path from 'path';
+import { detectFormat, FORMATS } from './extractText.js';
+import { getStorage } from './storage/index.js';
+import { findBlob } from './blobs.js';
+
+// Formats a browser can show inline; everything else is download-only
+const PREVIEW_TYPES = {
+  pdf: 'application/pdf',
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  txt: 'text/plain; charset=utf-8',
+  markdown: 'text/plain; charset=utf-8',
+  csv: 'text/plain; charset=utf-8',
+  eml: 'text/plain; charset=utf-8',
+  // Untrusted HTML is shown as source rather than rendered
+  html: 'text/plain; charset=utf-8',
+};
+
+// RFC 6266 header with an ASCII fallback plus the UTF-8 name
+export function contentDisposition(type, fileName) {
+  const fallback = fileName.replace(/[^\x20-\x7e]+/g, '_').replace(/["\\]/g, '_');
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+}
+
+// Parses a single "bytes=" range; returns { start, end }, 'unsatisfiable', or null to send everything
+export function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header).trim());
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    const suffix = Number(match[2]);
+    if (suffix === 0) return 'unsatisfiable';
+    start = Math.max(0, size - suffix);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+  if (start >= size || start > end) return 'unsatisfiable';
+  return { start, end };
+}
+
+function etagMatches(header, etag) {
+  if (!header) return false;
+  if (header.trim() === '*') return true;
+  return header.split(',').map(t => t.trim().replace(/^W\//, '')).includes(etag.replace(/^W\//, ''));
+}
+
+// Format recorded for the blob at upload; older files are detected from their contents
+async function storedFormat(storage, filePath, fileName) {
+  const blob = await findBlob(filePath);
+  if (blob?.format && FORMATS[blob.format]) return { type: blob.format, mime: FORMATS[blob.format].mime };
+  return storage.withLocalFile(filePath, localPath => detectFormat(localPath, { name: fileName }));
+}
+
+/**
+ * Sends a stored file (filePath is its storage key) with caching and range support.
+ *   disposition: 'attachment' (download) or 'inline' (preview – 415 for formats browsers can't show)
+ *   sha256:      stored hash used as the strong ETag; falls back to a weak size/mtime tag
+ *   onStart:     awaited once the 200/206 body starts at byte 0, so a download is counted once
+ *                (not for HEAD, 304s, errors or the follow-up ranges of a resumed download)
+ */
+export async function sendStoredFile(req, res, { filePath, fileName, sha256, disposition = 'attachment', onStart }) {
+  const storage = getStorage();
+  const stat = await storage.stat(filePath);
+  if (!stat) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+
+  const format = await storedFormat(storage, filePath, fileName);
+  let contentType = format?.mime || 'application/octet-stream';
+  if (disposition === 'inline') {
+    if (!format || !PREVIEW_TYPES[format.type]) {
+      return res.status(415).json({ error: 'Preview is not available for this format', format: format?.type ?? null });
+    }
+    contentType = PREVIEW_TYPES[format.type];
+  }
+
+  const modifiedAt = new Date(stat.modifiedAt);
+  const etag = sha256 ? `"${sha256}"` : `W/"${stat.size.toString(16)}-${modifiedAt.getTime().toString(16)}"`;
+  res.set({
+    ETag: etag,
+    'Last-Modified': modifiedAt.toUTCString(),
+    'Cache-Control': 'private, no-cache',
+    'Accept-Ranges': 'bytes',
+    'Content-Type': contentType,
+    'Content-Disposition': contentDisposition(disposition, fileName || path.basename(filePath)),
+    'X-Content-Type-Options': 'nosniff',
+  });
+  // Not applied to PDFs: browsers refuse to run their PDF viewer in a sandboxed document
+  if (contentType.startsWith('text/')) res.set('Content-Security-Policy', "default-src 'none'; sandbox");
+
+  if (etagMatches(req.get('if-none-match'), etag)) {
+    return res.status(304).end();
+  }
+
+  // If-Range: only honour the range when the client's copy is still current
+  let range = null;
+  const ifRange = req.get('if-range');
+  if (req.get('range') && (!ifRange || ifRange === etag)) {
+    range = parseRange(req.get('range'), stat.size);
+  }
+  if (range === 'unsatisfiable') {
+    res.removeHeader('Content-Type');
+    res.removeHeader('Content-Disposition');
+    res.set('Content-Range', `bytes */${stat.size}`);
+    return res.status(416).json({ error: 'Requested range not satisfiable' });
+  }
+
+  const { start, end } = range || { start: 0, end: stat.size - 1 };
+  res.status(range ? 206 : 200);
+  res.set('Content-Length', String(stat.size === 0 ? 0 : end - start + 1));
+  if (range) res.set('Content-Range', `bytes ${start}-${end}/${stat.size}`);
+
+  if (req.method !== 'HEAD' && start === 0 && onStart) await onStart();
+  if (req.method === 'HEAD' || stat.size === 0) return res.end();
+
+  const stream = await storage.createReadStream(filePath, { start, end });
+  stream.on('error', err => {
+    console.error('sendStoredFile: read failed', err);
+    res.destroy(err);
+  });
+  // Stop reading when the client goes away mid-download
+  res.on('close', () => stream.destroy());
+  stream.pipe(res);
+}
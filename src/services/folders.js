@@ -0,0 +1,87 @@
+// src/services/folders.js
+// Helpers for the per-user folder tree. Trees are small, so they are loaded
+// whole and walked in memory instead of with recursive SQL.
+import { prisma } from '../prismaClient.js';
+
+export const MAX_FOLDER_NAME_LENGTH = 100;
+export const MAX_FOLDER_DEPTH = 10;
+
+// Returns an error message for an invalid folder name, or null
+export function checkFolderName(name) {
+  if (typeof name !== 'string' || !name.trim()) return 'Name is required and must be a string';
+  if (name.trim().length > MAX_FOLDER_NAME_LENGTH) return `Name must be at most ${MAX_FOLDER_NAME_LENGTH} characters`;
+  if (/[/\\]/.test(name)) return 'Name must not contain slashes';
+  return null;
+}
+
+async function loadTree(userId) {
+  const folders = await prisma.folder.findMany({
+    where: { userId },
+    select: { id: true, name: true, parentId: true },
+  });
+  return new Map(folders.map(f => [f.id, f]));
+}
+
+// The folder and every folder below it
+export async function folderSubtreeIds(userId, folderId) {
+  const tree = await loadTree(userId);
+  const ids = [folderId];
+  for (let i = 0; i < ids.length; i++) {
+    for (const folder of tree.values()) {
+      if (folder.parentId === ids[i]) ids.push(folder.id);
+    }
+  }
+  return ids;
+}
+
+// Breadcrumbs from the top-level folder down to folderId
+export async function folderPath(userId, folderId) {
+  const tree = await loadTree(userId);
+  const path = [];
+  for (let f = tree.get(folderId); f; f = tree.get(f.parentId)) {
+    path.unshift({ id: f.id, name: f.name });
+  }
+  return path;
+}
+
+/**
+ * Checks that `folderId` (null for a new folder) can be placed under `parentId` (null = top level).
+ * Returns an error message, or null when the move is allowed.
+ */
+export async function checkFolderMove(userId, folderId, parentId) {
+  if (parentId === null) return null;
+  const tree = await loadTree(userId);
+
+  let depth = 1;
+  for (let f = tree.get(parentId); f; f = tree.get(f.parentId)) {
+    if (f.id === folderId) return 'A folder cannot be moved into itself or one of its subfolders';
+    depth++;
+  }
+
+  // depth of the moved subtree below folderId
+  const subtreeDepth = id => 1 + Math.max(0, ...[...tree.values()].filter(f => f.parentId === id).map(f => subtreeDepth(f.id)));
+  const height = folderId ? subtreeDepth(folderId) : 1;
+  if (depth + height - 1 > MAX_FOLDER_DEPTH) {
+    return `Folders can be nested at most ${MAX_FOLDER_DEPTH} levels deep`;
+  }
+  return null;
+}
+
+// Resolves a folder id from a request to one of the user's folders; null stays null (top level)
+export async function resolveFolderId(userId, value) {
+  if (value === null) return { folderId: null };
+  const id = Number(value);
+  if (!Number.isInteger(id)) return { status: 400, error: 'folderId must be a folder id or null' };
+  const folder = await prisma.folder.findUnique({ where: { id } });
+  if (!folder || folder.userId !== userId) return { status: 404, error: 'Folder not found' };
+  return { folderId: id };
+}
+
+// Sibling names are unique per parent (SQLite treats NULL parents as distinct, so checked here)
+export async function folderNameTaken(userId, parentId, name, exceptId = null) {
+  const existing = await prisma.folder.findFirst({
+    where: { userId, parentId, name, ...(exceptId ? { NOT: { id: exceptId } } : {}) },
+    select: { id: true },
+  });
+  return Boolean(existing);
+}
@@ -0,0 +1,104 @@
+// src/services/formats/email.js
+// RFC 822 / MIME (.eml) reader: headers plus the readable body parts.
+import { htmlToText } from './markup.js';
+
+// Splits a MIME entity into unfolded headers (lower-cased keys) and body
+function splitEntity(raw) {
+  const sep = raw.search(/\r?\n\r?\n/);
+  const head = sep === -1 ? raw : raw.slice(0, sep);
+  const body = sep === -1 ? '' : raw.slice(sep).replace(/^\r?\n\r?\n/, '');
+  const headers = {};
+  for (const line of head.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+    const idx = line.indexOf(':');
+    if (idx > 0) headers[line.slice(0, idx).trim().toLowerCase()] = line.slice(idx + 1).trim();
+  }
+  return { headers, body };
+}
+
+function param(header, name) {
+  const m = new RegExp(`${name}\\s*=\\s*(?:"([^"]*)"|([^;\\s]+))`, 'i').exec(header || '');
+  return m ? (m[1] ?? m[2]) : null;
+}
+
+function decodeBytes(bytes, charset) {
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(bytes);
+  } catch {
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+}
+
+function decodeBody(body, encoding, charset) {
+  const enc = (encoding || '').toLowerCase();
+  if (enc === 'base64') {
+    return decodeBytes(Buffer.from(body.replace(/\s+/g, ''), 'base64'), charset);
+  }
+  if (enc === 'quoted-printable') {
+    const bytes = Buffer.from(
+      body.replace(/=\r?\n/g, '').replace(/=([0-9A-F]{2})/gi, (m, hex) => String.fromCharCode(parseInt(hex, 16))),
+      'latin1'
+    );
+    return decodeBytes(bytes, charset);
+  }
+  return decodeBytes(Buffer.from(body, 'latin1'), charset);
+}
+
+// RFC 2047 encoded words in headers (=?utf-8?B?...?= / =?utf-8?Q?...?=)
+function decodeHeader(value) {
+  return String(value || '').replace(/=\?([^?]+)\?([bq])\?([^?]*)\?=/gi, (m, charset, type, text) => {
+    if (type.toLowerCase() === 'b') return decodeBytes(Buffer.from(text, 'base64'), charset);
+    const qp = text.replace(/_/g, ' ').replace(/=([0-9A-F]{2})/gi, (x, hex) => String.fromCharCode(parseInt(hex, 16)));
+    return decodeBytes(Buffer.from(qp, 'latin1'), charset);
+  });
+}
+
+// Collects text/plain and text/html parts and attachment names, depth-first
+function walk(entity, acc, depth = 0) {
+  const type = (entity.headers['content-type'] || 'text/plain').toLowerCase();
+  const disposition = (entity.headers['content-disposition'] || '').toLowerCase();
+  const filename = param(entity.headers['content-disposition'], 'filename') || param(entity.headers['content-type'], 'name');
+
+  if (type.startsWith('multipart/') && depth < 10) {
+    const boundary = param(entity.headers['content-type'], 'boundary');
+    if (!boundary) return;
+    const parts = entity.body.split(`--${boundary}`).slice(1);
+    for (const part of parts) {
+      if (part.startsWith('--')) break;
+      walk(splitEntity(part.replace(/^\r?\n/, '')), acc, depth + 1);
+    }
+    return;
+  }
+
+  if (disposition.startsWith('attachment') || (filename && !type.startsWith('text/'))) {
+    if (filename) acc.attachments.push(decodeHeader(filename));
+    return;
+  }
+
+  const charset = param(entity.headers['content-type'], 'charset');
+  const text = decodeBody(entity.body, entity.headers['content-transfer-encoding'], charset);
+  if (type.startsWith('text/html')) acc.html.push(htmlToText(text));
+  else if (type.startsWith('text/')) acc.plain.push(text.trim());
+}
+
+export function emlToText(raw) {
+  const root = splitEntity(String(raw));
+  const acc = { plain: [], html: [], attachments: [] };
+  walk(root, acc);
+
+  const header = ['from', 'to', 'cc', 'date', 'subject']
+    .filter(name => root.headers[name])
+    .map(name => `${name[0].toUpperCase()}${name.slice(1)}: ${decodeHeader(root.headers[name])}`)
+    .join('\n');
+  // text/plain alternatives win over their HTML twins
+  const body = (acc.plain.length ? acc.plain : acc.html).join('\n\n');
+  const attachments = acc.attachments.length ? `\n\nAttachments: ${acc.attachments.join(', ')}` : '';
+
+  return `${header}\n\n${body}${attachments}`.trim();
+}
+
+// Heuristic: the first lines look like RFC 822 headers
+export function looksLikeEmail(sample) {
+  const head = sample.split(/\r?\n\r?\n/)[0];
+  const names = head.match(/^(from|to|subject|date|received|return-path|mime-version|message-id|delivered-to):/gim) || [];
+  return names.length >= 2 && /^[\w-]+:/.test(sample);
+}
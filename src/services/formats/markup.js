@@ -0,0 +1,126 @@
+// src/services/formats/markup.js
+// Plain-text conversion for HTML and RTF.
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  ndash: '–', mdash: '—', hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+  copy: '©', reg: '®', trade: '™', euro: '€', pound: '£', sect: '§', para: '¶', middot: '·', bull: '•',
+};
+
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+// Collapses runs of blank lines/spaces left behind by markup removal
+function tidy(text) {
+  return text
+    .replace(/[ \t\f\v]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+const BLOCK_TAGS = 'address|article|aside|blockquote|dd|div|dl|dt|fieldset|figcaption|figure|footer|form|h[1-6]|header|hr|li|main|nav|ol|p|pre|section|table|tbody|thead|tfoot|tr|ul';
+
+export function htmlToText(html) {
+  const text = String(html)
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|noscript|template|head)\b[\s\S]*?<\/\1\s*>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/?(td|th)\b[^>]*>/gi, '\t')
+    .replace(new RegExp(`</?(${BLOCK_TAGS})\\b[^>]*>`, 'gi'), '\n')
+    .replace(/<[^>]+>/g, '');
+  return tidy(decodeEntities(text));
+}
+
+// Destinations whose content is never visible text
+const RTF_SKIP_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'header', 'footer', 'headerl', 'headerr',
+  'footerl', 'footerr', 'listtable', 'listoverridetable', 'rsidtbl', 'generator', 'xmlnstbl', 'themedata',
+  'colorschememapping', 'latentstyles', 'datastore', 'object', 'fldinst',
+]);
+
+/**
+ * Minimal RTF reader: walks groups and control words, keeps visible text,
+ * maps \par/\line/\tab and decodes \'hh and \uN escapes (cp1252 assumed for \'hh).
+ */
+export function rtfToText(rtf) {
+  const src = String(rtf);
+  const decoder = new TextDecoder('windows-1252');
+  let out = '';
+  const stack = [];
+  let skip = false;
+  let ucSkip = 1;
+  let pendingSkip = 0;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (ch === '{') {
+      stack.push({ skip, ucSkip });
+      continue;
+    }
+    if (ch === '}') {
+      ({ skip, ucSkip } = stack.pop() || { skip: false, ucSkip: 1 });
+      continue;
+    }
+    if (ch === '\\') {
+      const next = src[i + 1];
+      if (next === '\\' || next === '{' || next === '}') {
+        if (!skip) out += next;
+        i += 1;
+        continue;
+      }
+      if (next === '*') {
+        skip = true; // {\* ...} optional destination
+        i += 1;
+        continue;
+      }
+      if (next === "'") {
+        const hex = src.slice(i + 2, i + 4);
+        if (pendingSkip > 0) pendingSkip -= 1;
+        else if (!skip) out += decoder.decode(Buffer.from([parseInt(hex, 16) || 32]));
+        i += 3;
+        continue;
+      }
+      if (next === '~') { if (!skip) out += ' '; i += 1; continue; }
+      if (next === '\n' || next === '\r') { if (!skip) out += '\n'; i += 1; continue; }
+
+      const m = /^([a-z]+)(-?\d+)? ?/i.exec(src.slice(i + 1, i + 40));
+      if (!m) continue;
+      i += m[0].length;
+      const [, word, param] = m;
+
+      if (RTF_SKIP_DESTINATIONS.has(word)) skip = true;
+      else if (skip) continue;
+      else if (word === 'par' || word === 'line' || word === 'sect' || word === 'page') out += '\n';
+      else if (word === 'tab' || word === 'cell') out += '\t';
+      else if (word === 'row') out += '\n';
+      else if (word === 'uc') ucSkip = Number(param) || 0;
+      else if (word === 'u') {
+        let code = Number(param);
+        if (code < 0) code += 65536;
+        out += String.fromCharCode(code);
+        pendingSkip = ucSkip;
+      } else if (word === 'emdash') out += '—';
+      else if (word === 'endash') out += '–';
+      else if (word === 'bullet') out += '•';
+      else if (word === 'lquote' || word === 'rquote') out += "'";
+      else if (word === 'ldblquote' || word === 'rdblquote') out += '"';
+      continue;
+    }
+    if (ch === '\r' || ch === '\n') continue;
+    if (skip) continue;
+    if (pendingSkip > 0) {
+      pendingSkip -= 1;
+      continue;
+    }
+    out += ch;
+  }
+  return tidy(out);
+}
@@ -0,0 +1,102 @@
+// src/services/formats/office.js
+// Text extraction for zip-based office formats (XLSX, PPTX, ODT) by reading their XML parts.
+import { decodeEntities } from './markup.js';
+
+function xmlText(xml) {
+  return decodeEntities(xml.replace(/<[^>]+>/g, ''));
+}
+
+function byNumber(a, b) {
+  return Number(/(\d+)\.xml$/.exec(a)?.[1] || 0) - Number(/(\d+)\.xml$/.exec(b)?.[1] || 0);
+}
+
+// Column letters of a cell reference ("BC12" -> 54), 0-based
+function columnIndex(ref) {
+  const letters = /^[A-Z]+/.exec(ref || '')?.[0] || 'A';
+  return [...letters].reduce((n, ch) => n * 26 + (ch.charCodeAt(0) - 64), 0) - 1;
+}
+
+/**
+ * XLSX: one page per worksheet, "Sheet: <name>" followed by tab-separated rows.
+ * Returns an array of page texts.
+ */
+export async function extractXlsx(zip) {
+  const sharedXml = await zip.file('xl/sharedStrings.xml')?.async('string');
+  const shared = sharedXml
+    ? [...sharedXml.matchAll(/<si>([\s\S]*?)<\/si>/g)].map(m =>
+      [...m[1].matchAll(/<t[^>]*>([\s\S]*?)<\/t>/g)].map(t => decodeEntities(t[1])).join(''))
+    : [];
+
+  // sheet names in workbook order, resolved to their part names via the workbook rels
+  const workbook = (await zip.file('xl/workbook.xml')?.async('string')) || '';
+  const rels = (await zip.file('xl/_rels/workbook.xml.rels')?.async('string')) || '';
+  const targets = new Map([...rels.matchAll(/<Relationship\b[^>]*>/g)].map(m => [
+    /Id="([^"]+)"/.exec(m[0])?.[1],
+    /Target="([^"]+)"/.exec(m[0])?.[1],
+  ]));
+  let sheets = [...workbook.matchAll(/<sheet\b[^>]*>/g)].map(m => ({
+    name: decodeEntities(/name="([^"]*)"/.exec(m[0])?.[1] || ''),
+    target: targets.get(/r:id="([^"]+)"/.exec(m[0])?.[1]),
+  })).filter(s => s.target)
+    .map(s => ({ ...s, path: s.target.startsWith('/') ? s.target.slice(1) : `xl/${s.target}` }));
+  if (sheets.length === 0) {
+    sheets = Object.keys(zip.files)
+      .filter(f => /^xl\/worksheets\/sheet\d+\.xml$/.test(f))
+      .sort(byNumber)
+      .map((path, i) => ({ name: `Sheet${i + 1}`, path }));
+  }
+
+  const pages = [];
+  for (const sheet of sheets) {
+    const xml = await zip.file(sheet.path)?.async('string');
+    if (!xml) continue;
+    const rows = [];
+    for (const row of xml.matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)) {
+      const cells = [];
+      for (const cell of row[1].matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+        const attrs = cell[1];
+        const body = cell[2] || '';
+        const type = /\bt="([^"]+)"/.exec(attrs)?.[1];
+        const value = /<v>([\s\S]*?)<\/v>/.exec(body)?.[1];
+        let text = '';
+        if (type === 's') text = shared[Number(value)] ?? '';
+        else if (type === 'inlineStr') text = xmlText(/<is>([\s\S]*?)<\/is>/.exec(body)?.[1] || '');
+        else if (value !== undefined) text = decodeEntities(value);
+        cells[columnIndex(/\br="([^"]+)"/.exec(attrs)?.[1])] = text;
+      }
+      const line = Array.from(cells, c => c ?? '').join('\t').trimEnd();
+      if (line.trim()) rows.push(line);
+    }
+    pages.push(`Sheet: ${sheet.name}\n${rows.join('\n')}`);
+  }
+  return pages;
+}
+
+// PPTX: one page per slide (slide order from the file names), paragraphs on separate lines
+export async function extractPptx(zip) {
+  const slides = Object.keys(zip.files)
+    .filter(f => /^ppt\/slides\/slide\d+\.xml$/.test(f))
+    .sort(byNumber);
+
+  const pages = [];
+  for (const slide of slides) {
+    const xml = await zip.file(slide).async('string');
+    const paragraphs = [...xml.matchAll(/<a:p>([\s\S]*?)<\/a:p>/g)]
+      .map(p => [...p[1].matchAll(/<a:t>([\s\S]*?)<\/a:t>/g)].map(t => decodeEntities(t[1])).join(''))
+      .filter(t => t.trim());
+    pages.push(paragraphs.join('\n'));
+  }
+  return pages;
+}
+
+// ODT: headings and paragraphs from content.xml (no fixed pagination, so a single page)
+export async function extractOdt(zip) {
+  const xml = (await zip.file('content.xml')?.async('string')) || '';
+  const body = xml
+    .replace(/<text:tab\s*\/>/g, '\t')
+    .replace(/<text:line-break\s*\/>/g, '\n')
+    .replace(/<text:s(?:\s+text:c="(\d+)")?\s*\/>/g, (m, n) => ' '.repeat(Number(n) || 1));
+  const paragraphs = [...body.matchAll(/<text:(p|h)\b[^>]*>([\s\S]*?)<\/text:\1>/g)]
+    .map(m => xmlText(m[2]));
+  return [paragraphs.join('\n').trim()];
+}
@@ -0,0 +1,240 @@
+// src/services/jobs.js
+// Persistent job queue on the Job table. Request handlers enqueue work and
+// return right away; a worker (src/worker.js, or the one started inside the API
+// process) claims queued jobs one at a time, runs the registered handler and
+// records progress, result or error. Failed jobs are retried with exponential
+// backoff unless the error says it is not retryable.
+import os from 'os';
+import { prisma } from '../prismaClient.js';
+
+export const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+
+const POLL_MS = Number(process.env.JOB_POLL_MS) || 1000;
+const RETRY_BASE_MS = Number(process.env.JOB_RETRY_BASE_MS) || 5000;
+// a running job whose worker stopped updating it for this long is picked up again
+const LOCK_TIMEOUT_MS = Number(process.env.JOB_LOCK_TIMEOUT_MS) || 15 * 60 * 1000;
+// while a handler runs its worker refreshes lockedAt this often, however long the job takes
+const HEARTBEAT_MS = Math.max(1000, Math.floor(LOCK_TIMEOUT_MS / 3));
+
+// type -> { run(payload, ctx), onFailure?(payload, error), maxAttempts }
+const handlers = new Map();
+
+/**
+ * Registers the function that runs jobs of `type`. `run(payload, { job, progress })`
+ * resolves the (JSON-serializable) result; `progress(percent, message)` updates the
+ * job row for pollers. `onFailure(payload, error)` runs once the last attempt failed.
+ */
+export function registerJobHandler(type, run, { onFailure, maxAttempts = 3 } = {}) {
+  handlers.set(type, { run, onFailure, maxAttempts });
+}
+
+export async function enqueueJob(type, payload, { userId = null, documentId = null, runAt } = {}) {
+  const handler = handlers.get(type);
+  if (!handler) throw new Error(`No job handler registered for "${type}"`);
+  return prisma.job.create({
+    data: {
+      type,
+      payload: JSON.stringify(payload),
+      maxAttempts: handler.maxAttempts,
+      userId,
+      documentId,
+      ...(runAt ? { runAt } : {}),
+    },
+  });
+}
+
+// Job row as returned by the API (JSON columns parsed, worker bookkeeping left out)
+export function serializeJob(job) {
+  const { payload, result, lockedBy, lockedAt, ...rest } = job;
+  return {
+    ...rest,
+    payload: JSON.parse(payload),
+    result: result ? JSON.parse(result) : null,
+  };
+}
+
+export async function updateJobProgress(jobId, progress, message = null) {
+  await prisma.job.update({
+    where: { id: jobId },
+    data: { progress: Math.max(0, Math.min(100, Math.round(progress))), progressMessage: message, lockedAt: new Date() },
+  });
+}
+
+// Queued jobs can be cancelled; running ones finish (their handlers are not interruptible).
+// The handler's onFailure hook runs so it can clean up (e.g. the document's processing status).
+export async function cancelJob(job) {
+  const { count } = await prisma.job.updateMany({
+    where: { id: job.id, status: 'queued' },
+    data: { status: 'cancelled', finishedAt: new Date() },
+  });
+  const onFailure = handlers.get(job.type)?.onFailure;
+  if (count === 1 && onFailure) await onFailure(JSON.parse(job.payload), new Error('Job was cancelled'));
+  return count === 1;
+}
+
+// Puts a failed or cancelled job back in the queue with a fresh set of attempts
+export async function retryJob(jobId) {
+  const { count } = await prisma.job.updateMany({
+    where: { id: jobId, status: { in: ['failed', 'cancelled'] } },
+    data: { status: 'queued', attempts: 0, error: null, progress: 0, progressMessage: null, runAt: new Date(), finishedAt: null },
+  });
+  return count === 1;
+}
+
+// Requeues jobs left 'running' by a worker that crashed or was killed; a job that
+// already used all its attempts fails instead (and its onFailure hook runs)
+export async function recoverStaleJobs() {
+  const stale = { status: 'running', lockedAt: { lt: new Date(Date.now() - LOCK_TIMEOUT_MS) } };
+  const jobs = await prisma.job.findMany({ where: stale });
+
+  let requeued = 0;
+  for (const job of jobs) {
+    const exhausted = job.attempts >= job.maxAttempts;
+    const { count } = await prisma.job.updateMany({
+      where: { id: job.id, ...stale },
+      data: exhausted
+        ? { status: 'failed', error: 'Worker stopped responding', finishedAt: new Date(), lockedBy: null, lockedAt: null }
+        : { status: 'queued', lockedBy: null, lockedAt: null },
+    });
+    if (!count) continue;
+    if (!exhausted) {
+      requeued++;
+      continue;
+    }
+    console.warn(`[jobs] ${job.type} #${job.id} failed: worker stopped responding after ${job.attempts} attempt(s)`);
+    const onFailure = handlers.get(job.type)?.onFailure;
+    if (onFailure) {
+      await Promise.resolve(onFailure(JSON.parse(job.payload), new Error('Worker stopped responding')))
+        .catch(e => console.error('[jobs] onFailure error:', e));
+    }
+  }
+  if (requeued) console.warn(`[jobs] requeued ${requeued} stale job(s)`);
+  return requeued;
+}
+
+// Claims the oldest due job; the conditional update makes the claim safe between workers
+async function claimNextJob(workerId) {
+  for (let tries = 0; tries < 5; tries++) {
+    const next = await prisma.job.findFirst({
+      where: { status: 'queued', runAt: { lte: new Date() }, type: { in: [...handlers.keys()] } },
+      orderBy: [{ runAt: 'asc' }, { id: 'asc' }],
+    });
+    if (!next) return null;
+
+    const now = new Date();
+    const { count } = await prisma.job.updateMany({
+      where: { id: next.id, status: 'queued' },
+      data: {
+        status: 'running',
+        lockedBy: workerId,
+        lockedAt: now,
+        startedAt: next.startedAt ?? now,
+        attempts: { increment: 1 },
+      },
+    });
+    if (count === 1) return prisma.job.findUnique({ where: { id: next.id } });
+  }
+  return null;
+}
+
+async function runJob(job, workerId) {
+  const handler = handlers.get(job.type);
+  const payload = JSON.parse(job.payload);
+  const progress = (percent, message) => updateJobProgress(job.id, percent, message);
+  // Writes only land while this worker still holds the job; if recovery handed it
+  // to another worker in the meantime, that run's outcome is the one kept
+  const finish = async data => {
+    const { count } = await prisma.job.updateMany({ where: { id: job.id, lockedBy: workerId }, data });
+    if (!count) console.warn(`[jobs] ${job.type} #${job.id} lost its lock; outcome of this run discarded`);
+    return count === 1;
+  };
+
+  const heartbeat = setInterval(() => {
+    prisma.job
+      .updateMany({ where: { id: job.id, lockedBy: workerId, status: 'running' }, data: { lockedAt: new Date() } })
+      .catch(err => console.error('[jobs] heartbeat failed:', err));
+  }, HEARTBEAT_MS);
+  heartbeat.unref?.();
+
+  try {
+    const result = await handler.run(payload, { job, progress });
+    clearInterval(heartbeat);
+    await finish({
+      status: 'completed',
+      result: JSON.stringify(result ?? null),
+      error: null,
+      progress: 100,
+      finishedAt: new Date(),
+      lockedBy: null,
+      lockedAt: null,
+    });
+  } catch (err) {
+    clearInterval(heartbeat);
+    const message = String(err?.message || err);
+    const retry = err?.retryable !== false && job.attempts < job.maxAttempts;
+    console.warn(`[jobs] ${job.type} #${job.id} attempt ${job.attempts}/${job.maxAttempts} failed: ${message}`);
+
+    const kept = await finish(retry
+      ? {
+          status: 'queued',
+          error: message,
+          runAt: new Date(Date.now() + RETRY_BASE_MS * 2 ** (job.attempts - 1)),
+          lockedBy: null,
+          lockedAt: null,
+        }
+      : { status: 'failed', error: message, finishedAt: new Date(), lockedBy: null, lockedAt: null });
+    if (kept && !retry && handler.onFailure) {
+      await Promise.resolve(handler.onFailure(payload, err)).catch(e => console.error('[jobs] onFailure error:', e));
+    }
+  }
+}
+
+// Runs one due job if there is one; resolves true when a job was run
+export async function runNextJob(workerId = `${os.hostname()}:${process.pid}`) {
+  const job = await claimNextJob(workerId);
+  if (!job) return false;
+  await runJob(job, workerId);
+  return true;
+}
+
+/**
+ * Polls the queue until stop() is called. Jobs run one after another: extraction and
+ * OCR are CPU/memory heavy, so scale out with more worker processes instead.
+ */
+export function startWorker({ workerId = `${os.hostname()}:${process.pid}`, pollMs = POLL_MS } = {}) {
+  let stopped = false;
+  let wake = null;
+
+  const loop = (async () => {
+    // on start, then once per lock timeout, so jobs of a crashed worker don't wait for a restart
+    let lastRecovery = 0;
+    while (!stopped) {
+      if (Date.now() - lastRecovery >= LOCK_TIMEOUT_MS) {
+        lastRecovery = Date.now();
+        await recoverStaleJobs().catch(err => console.error('[jobs] recovery failed:', err));
+      }
+      let ran = false;
+      try {
+        ran = await runNextJob(workerId);
+      } catch (err) {
+        console.error('[jobs] worker error:', err);
+      }
+      if (!ran && !stopped) {
+        await new Promise(resolve => {
+          wake = resolve;
+          setTimeout(resolve, pollMs);
+        });
+      }
+    }
+  })();
+
+  console.log(`[jobs] worker ${workerId} started (types: ${[...handlers.keys()].join(', ')})`);
+  return {
+    // resolves once the job in progress (if any) has finished
+    async stop() {
+      stopped = true;
+      wake?.();
+      await loop;
+    },
+  };
+}
@@ -0,0 +1,122 @@
+// src/services/jsonSchema.js
+// Minimal JSON Schema subset for /extract: type (string, number, integer,
+// boolean, object, array), properties, items, required, enum, description and
+// format: 'date' (YYYY-MM-DD). Every field may be null ("not found in the document").
+
+const TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array'];
+export const MAX_SCHEMA_FIELDS = 50;
+const MAX_DEPTH = 4;
+
+// Checks the caller's schema; returns a list of problems (empty when usable)
+export function checkSchema(schema, path = '$', depth = 0, counter = { fields: 0 }) {
+  const problems = [];
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    return [`${path}: schema must be an object`];
+  }
+  if (depth > MAX_DEPTH) return [`${path}: schema is nested too deeply (max ${MAX_DEPTH})`];
+  if (!TYPES.includes(schema.type)) {
+    return [`${path}: type must be one of ${TYPES.join(', ')}`];
+  }
+  if (schema.enum !== undefined && (!Array.isArray(schema.enum) || schema.enum.length === 0)) {
+    problems.push(`${path}: enum must be a non-empty array`);
+  }
+
+  if (schema.type === 'object') {
+    if (!schema.properties || typeof schema.properties !== 'object' || !Object.keys(schema.properties).length) {
+      problems.push(`${path}: object schemas need at least one property`);
+    } else {
+      for (const [key, child] of Object.entries(schema.properties)) {
+        counter.fields++;
+        problems.push(...checkSchema(child, `${path}.${key}`, depth + 1, counter));
+      }
+    }
+    if (schema.required !== undefined && !Array.isArray(schema.required)) {
+      problems.push(`${path}: required must be an array`);
+    }
+  }
+  if (schema.type === 'array') {
+    if (!schema.items) problems.push(`${path}: array schemas need items`);
+    else problems.push(...checkSchema(schema.items, `${path}[]`, depth + 1, counter));
+  }
+  if (depth === 0 && counter.fields > MAX_SCHEMA_FIELDS) {
+    problems.push(`schema has ${counter.fields} fields (max ${MAX_SCHEMA_FIELDS})`);
+  }
+  return problems;
+}
+
+function typeError(value, schema) {
+  switch (schema.type) {
+    case 'string':
+      if (typeof value !== 'string') return 'expected a string';
+      if (schema.format === 'date' && !/^\d{4}-\d{2}-\d{2}$/.test(value)) return 'expected a date (YYYY-MM-DD)';
+      return null;
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value) ? null : 'expected a number';
+    case 'integer':
+      return Number.isInteger(value) ? null : 'expected an integer';
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'expected true or false';
+    case 'array':
+      return Array.isArray(value) ? null : 'expected an array';
+    case 'object':
+      return value && typeof value === 'object' && !Array.isArray(value) ? null : 'expected an object';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Validates model output against the schema without throwing.
+ * Returns { value, invalid: [{ path, error }], missing: [path] } where `value`
+ * keeps only the valid parts (invalid or absent fields become null).
+ */
+export function coerceToSchema(value, schema, path = '$') {
+  const invalid = [];
+  const missing = [];
+
+  if (value === undefined || value === null) {
+    missing.push(path);
+    return { value: null, invalid, missing };
+  }
+  const error = typeError(value, schema) || (schema.enum && !schema.enum.includes(value) ? `expected one of ${JSON.stringify(schema.enum)}` : null);
+  if (error) {
+    invalid.push({ path, error });
+    return { value: null, invalid, missing };
+  }
+
+  if (schema.type === 'object') {
+    const out = {};
+    for (const [key, child] of Object.entries(schema.properties)) {
+      const result = coerceToSchema(value[key], child, `${path}.${key}`);
+      out[key] = result.value;
+      invalid.push(...result.invalid);
+      missing.push(...result.missing);
+    }
+    return { value: out, invalid, missing };
+  }
+  if (schema.type === 'array') {
+    const out = [];
+    value.forEach((item, i) => {
+      const result = coerceToSchema(item, schema.items, `${path}[${i}]`);
+      if (result.value !== null) out.push(result.value);
+      invalid.push(...result.invalid);
+    });
+    if (!out.length) missing.push(path);
+    return { value: out, invalid, missing };
+  }
+  return { value, invalid, missing };
+}
+
+// Pulls the first JSON object out of a model reply (tolerates ```json fences and chatter)
+export function parseJsonObject(text) {
+  const raw = String(text || '').replace(/```(?:json)?/gi, '');
+  const start = raw.indexOf('{');
+  const end = raw.lastIndexOf('}');
+  if (start === -1 || end <= start) return null;
+  try {
+    const parsed = JSON.parse(raw.slice(start, end + 1));
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,46 @@
+// src/services/llm/errors.js
+// Every provider failure is surfaced as an LlmError so controllers can answer
+// with one response shape regardless of which upstream API failed.
+
+export class LlmError extends Error {
+  constructor(message, { status = 502, code = 'upstream_error', provider = null, retryable = false, detail = null } = {}) {
+    super(message);
+    this.name = 'LlmError';
+    this.status = status;
+    this.code = code;
+    this.provider = provider;
+    this.retryable = retryable;
+    this.detail = detail;
+  }
+}
+
+// Maps an upstream HTTP status to our normalized error
+export function errorFromStatus(provider, status, detail) {
+  if (status === 429) {
+    return new LlmError('Model provider rate limit reached. Please try again shortly.', {
+      status: 429, code: 'rate_limited', provider, retryable: true, detail,
+    });
+  }
+  if (status === 401 || status === 403) {
+    return new LlmError('Model provider rejected our credentials.', {
+      status: 502, code: 'auth_failed', provider, detail,
+    });
+  }
+  if (status >= 500) {
+    return new LlmError('Model provider failed to answer.', {
+      status: 502, code: 'upstream_error', provider, retryable: true, detail,
+    });
+  }
+  return new LlmError('Model provider rejected the request.', {
+    status: 502, code: 'bad_request', provider, detail,
+  });
+}
+
+// JSON body for an error response: { error, code, provider }
+export function toErrorBody(err) {
+  return {
+    error: err.message,
+    code: err.code,
+    provider: err.provider,
+  };
+}
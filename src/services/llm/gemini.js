@@ -0,0 +1,73 @@
+// src/services/llm/gemini.js
+import { LlmError } from './errors.js';
+import { postJson, postStream, parseSseData } from './http.js';
+
+const BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+export const gemini = {
+  name: 'gemini',
+  defaultModel: process.env.GEMINI_MODEL || 'gemini-2.0-flash',
+
+  apiKey() {
+    const apiKey = process.env.GEMINI_API_KEY;
+    if (!apiKey) {
+      throw new LlmError('Gemini is not configured (GEMINI_API_KEY missing).', {
+        status: 500, code: 'not_configured', provider: this.name,
+      });
+    }
+    return apiKey;
+  },
+
+  async generate({ prompt, model = this.defaultModel, signal }) {
+    const url = `${BASE_URL}/${encodeURIComponent(model)}:generateContent`;
+    const data = await postJson(url, { contents: [{ parts: [{ text: prompt }] }] }, {
+      provider: this.name,
+      headers: { 'x-goog-api-key': this.apiKey() },
+      signal,
+    });
+
+    const parts = data.candidates?.[0]?.content?.parts;
+    if (!Array.isArray(parts)) {
+      throw new LlmError('Invalid response from model endpoint', {
+        status: 502, code: 'invalid_response', provider: this.name,
+      });
+    }
+
+    return {
+      text: parts.map(p => p.text || '').join(''),
+      model,
+      usage: usageOf(data),
+    };
+  },
+
+  async stream({ prompt, model = this.defaultModel, signal, onToken }) {
+    const url = `${BASE_URL}/${encodeURIComponent(model)}:streamGenerateContent?alt=sse`;
+    let text = '';
+    let usage = usageOf(null);
+
+    await postStream(url, { contents: [{ parts: [{ text: prompt }] }] }, {
+      provider: this.name,
+      headers: { 'x-goog-api-key': this.apiKey() },
+      signal,
+      onLine: line => {
+        const data = parseSseData(line);
+        if (!data) return;
+        const token = (data.candidates?.[0]?.content?.parts || []).map(p => p.text || '').join('');
+        if (token) {
+          text += token;
+          onToken(token);
+        }
+        if (data.usageMetadata) usage = usageOf(data);
+      },
+    });
+
+    return { text, model, usage };
+  },
+};
+
+function usageOf(data) {
+  return {
+    promptTokens: data?.usageMetadata?.promptTokenCount ?? null,
+    completionTokens: data?.usageMetadata?.candidatesTokenCount ?? null,
+  };
+}
@@ -0,0 +1,183 @@
+// src/services/llm/http.js
+// Shared timeout / retry / backoff handling for HTTP-based providers.
+import fetch from 'node-fetch';
+import { LlmError, errorFromStatus } from './errors.js';
+
+export const DEFAULT_TIMEOUT_MS = Number(process.env.LLM_TIMEOUT_MS) || 20000;
+export const DEFAULT_RETRIES = process.env.LLM_RETRIES !== undefined ? Number(process.env.LLM_RETRIES) : 1;
+const BACKOFF_MS = 800;
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+// Short upstream error summary for logs – never forwarded to clients verbatim
+function describe(data) {
+  if (!data) return null;
+  const message = data.error?.message || data.error || data.message;
+  return typeof message === 'string' ? message.slice(0, 500) : null;
+}
+
+// `read(response)` runs before the timer is cleared, so a provider that sends headers
+// and then stalls the body still times out
+async function requestOnce(url, { provider, body, headers, signal, timeoutMs, read = response => response }) {
+  const timeoutController = new AbortController();
+  const timeout = setTimeout(() => timeoutController.abort(), timeoutMs);
+  const combined = signal ? AbortSignal.any([signal, timeoutController.signal]) : timeoutController.signal;
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: combined,
+    });
+    return await read(response);
+  } catch (e) {
+    if (e instanceof LlmError) throw e;
+    if (signal?.aborted) {
+      throw new LlmError('Request was cancelled.', { status: 499, code: 'aborted', provider });
+    }
+    if (timeoutController.signal.aborted) {
+      throw new LlmError('Model provider timed out.', { status: 504, code: 'timeout', provider, retryable: true });
+    }
+    throw new LlmError('Upstream model is unreachable. Please try again shortly.', {
+      status: 503, code: 'unavailable', provider, retryable: true, detail: String(e?.message || e),
+    });
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// Runs `fn` and retries transient LlmErrors with exponential backoff
+async function withRetry(provider, retries, fn) {
+  let attempt = 0;
+  for (;;) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (!(err instanceof LlmError) || !err.retryable || attempt >= retries) throw err;
+      attempt += 1;
+      console.warn(`[llm] ${provider} attempt ${attempt} failed (${err.code}), retrying`);
+      await sleep(BACKOFF_MS * 2 ** (attempt - 1));
+    }
+  }
+}
+
+// POSTs JSON and returns the parsed JSON body, retrying transient failures with backoff.
+export async function postJson(url, body, {
+  provider,
+  headers = {},
+  signal,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  retries = DEFAULT_RETRIES,
+} = {}) {
+  return withRetry(provider, retries, () => requestOnce(url, {
+    provider,
+    body,
+    headers,
+    signal,
+    timeoutMs,
+    read: async response => {
+      let data;
+      try {
+        data = await response.json();
+      } catch (e) {
+        // aborted by the timeout or the caller: reported as such by requestOnce
+        if (e?.name === 'AbortError') throw e;
+        if (!response.ok) throw errorFromStatus(provider, response.status, null);
+        throw new LlmError('Invalid response from model endpoint', { status: 502, code: 'invalid_response', provider });
+      }
+      if (!response.ok) throw errorFromStatus(provider, response.status, describe(data));
+      return data;
+    },
+  }));
+}
+
+/**
+ * POSTs JSON and feeds each non-empty line of the streamed response to `onLine`
+ * (SSE "data: ..." lines or NDJSON). Retries only happen before the response
+ * starts, so callers never see duplicated tokens. `timeoutMs` applies to the
+ * initial response and then to every gap between received chunks.
+ */
+export async function postStream(url, body, {
+  provider,
+  headers = {},
+  signal,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  retries = DEFAULT_RETRIES,
+  onLine,
+} = {}) {
+  const controller = new AbortController();
+  const forwardAbort = () => controller.abort();
+  signal?.addEventListener('abort', forwardAbort, { once: true });
+
+  let idle;
+  let idleTimedOut = false;
+  try {
+    const response = await withRetry(provider, retries, () => requestOnce(url, {
+      provider,
+      body,
+      headers,
+      signal: controller.signal,
+      timeoutMs,
+      // an error body is read under the request timeout; a good one is streamed under the idle timer
+      read: async res => {
+        if (res.ok) return res;
+        let data = null;
+        try { data = await res.json(); } catch {}
+        throw errorFromStatus(provider, res.status, describe(data));
+      },
+    }));
+
+    const resetIdle = () => {
+      clearTimeout(idle);
+      idle = setTimeout(() => {
+        idleTimedOut = true;
+        controller.abort();
+      }, timeoutMs);
+    };
+
+    const decoder = new TextDecoder();
+    let buffer = '';
+    try {
+      resetIdle();
+      for await (const chunk of response.body) {
+        resetIdle();
+        buffer += decoder.decode(chunk, { stream: true });
+        let newline;
+        while ((newline = buffer.indexOf('\n')) !== -1) {
+          const line = buffer.slice(0, newline).replace(/\r$/, '');
+          buffer = buffer.slice(newline + 1);
+          if (line.trim()) onLine(line);
+        }
+      }
+      buffer += decoder.decode();
+      if (buffer.trim()) onLine(buffer.trim());
+    } catch (e) {
+      if (e instanceof LlmError) throw e;
+      if (signal?.aborted) {
+        throw new LlmError('Request was cancelled.', { status: 499, code: 'aborted', provider });
+      }
+      if (idleTimedOut) {
+        throw new LlmError('Model provider stopped responding.', { status: 504, code: 'timeout', provider });
+      }
+      throw new LlmError('Model stream was interrupted.', {
+        status: 502, code: 'stream_interrupted', provider, detail: String(e?.message || e),
+      });
+    }
+  } finally {
+    clearTimeout(idle);
+    signal?.removeEventListener('abort', forwardAbort);
+  }
+}
+
+// Parses the JSON payload of an SSE "data:" line; returns null for anything else
+export function parseSseData(line) {
+  if (!line.startsWith('data:')) return null;
+  const payload = line.slice(5).trim();
+  if (!payload || payload === '[DONE]') return null;
+  try {
+    return JSON.parse(payload);
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,66 @@
+// src/services/llm/index.js
+// Provider registry. The provider is picked per environment (LLM_PROVIDER),
+// defaulting to Gemini; requests may pick another one listed in LLM_PROVIDERS,
+// and a model listed in <PROVIDER>_MODELS (e.g. GEMINI_MODELS).
+import { LlmError } from './errors.js';
+import { gemini } from './gemini.js';
+import { openai } from './openai.js';
+import { ollama } from './ollama.js';
+import { mock } from './mock.js';
+
+export { LlmError, toErrorBody } from './errors.js';
+
+const providers = { gemini, openai, ollama, mock };
+
+const envList = value => String(value || '').split(',').map(s => s.trim()).filter(Boolean);
+
+const DEFAULT_PROVIDER = String(process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+const ENABLED_PROVIDERS = new Set([DEFAULT_PROVIDER, ...envList(process.env.LLM_PROVIDERS).map(s => s.toLowerCase())]);
+
+// Providers a request may choose
+export function listProviders() {
+  return Object.keys(providers).filter(key => ENABLED_PROVIDERS.has(key));
+}
+
+export function getProvider(name) {
+  const key = String(name || DEFAULT_PROVIDER).toLowerCase();
+  const provider = providers[key];
+  if (!provider || !ENABLED_PROVIDERS.has(key)) {
+    throw new LlmError(`Unknown model provider "${key}". Use one of: ${listProviders().join(', ')}`, {
+      status: 400, code: 'unknown_provider', provider: key,
+    });
+  }
+  return provider;
+}
+
+// The provider's default model plus any listed in <PROVIDER>_MODELS
+function allowedModels(provider) {
+  return new Set([provider.defaultModel, ...envList(process.env[`${provider.name.toUpperCase()}_MODELS`])]);
+}
+
+function resolveModel(provider, model) {
+  if (!model) return undefined;
+  const allowed = allowedModels(provider);
+  if (!allowed.has(model)) {
+    throw new LlmError(`Unknown model "${model}". Use one of: ${[...allowed].join(', ')}`, {
+      status: 400, code: 'unknown_model', provider: provider.name,
+    });
+  }
+  return model;
+}
+
+// Runs one completion and returns { text, model, provider, usage, latencyMs }
+export async function generate(prompt, { provider: name, model, signal } = {}) {
+  const provider = getProvider(name);
+  const startedAt = Date.now();
+  const result = await provider.generate({ prompt, model: resolveModel(provider, model), signal });
+  return { ...result, provider: provider.name, latencyMs: Date.now() - startedAt };
+}
+
+// Streams one completion, calling onToken(text) per fragment; resolves like generate()
+export async function generateStream(prompt, { provider: name, model, signal, onToken } = {}) {
+  const provider = getProvider(name);
+  const startedAt = Date.now();
+  const result = await provider.stream({ prompt, model: resolveModel(provider, model), signal, onToken });
+  return { ...result, provider: provider.name, latencyMs: Date.now() - startedAt };
+}
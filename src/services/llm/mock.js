@@ -0,0 +1,66 @@
+// src/services/llm/mock.js
+// Deterministic offline provider for tests and local development: no network,
+// same prompt in → same answer out.
+import { LlmError } from './errors.js';
+
+function lastLine(text, label) {
+  const idx = text.lastIndexOf(label);
+  return idx === -1 ? '' : text.slice(idx + label.length).split('\n')[0].trim();
+}
+
+// Skeleton object for a JSON schema (every leaf null), for /extract prompts
+function emptyFromSchema(schema) {
+  if (schema?.type === 'object') {
+    return Object.fromEntries(Object.entries(schema.properties || {}).map(([k, v]) => [k, emptyFromSchema(v)]));
+  }
+  return schema?.type === 'array' ? [] : null;
+}
+
+export const mock = {
+  name: 'mock',
+  defaultModel: 'mock-echo',
+
+  async generate({ prompt, model = this.defaultModel }) {
+    const schemaBlock = /matches this JSON schema[^\n]*\n\n```json\n([\s\S]*?)\n```/.exec(prompt);
+    if (schemaBlock) {
+      const text = JSON.stringify(emptyFromSchema(JSON.parse(schemaBlock[1])));
+      return { text, model, usage: { promptTokens: prompt.split(/\s+/).length, completionTokens: 1 } };
+    }
+
+    // Summary prompts: echo the start of the text being summarized
+    if (/^(Summarize part|Write) /.test(prompt)) {
+      const body = prompt.slice(prompt.indexOf('\n\n') + 2).replace(/\s+/g, ' ').trim();
+      const text = `Mock summary: ${body.slice(0, 160)}`;
+      return { text, model, usage: { promptTokens: prompt.split(/\s+/).length, completionTokens: text.split(/\s+/).length } };
+    }
+
+    const question = lastLine(prompt, 'Question:');
+    // first line of the first passage, quoted back so citation parsing can be exercised offline
+    const label = /\[((?:Document \d+, )?Passage \d+)\]\n(.*)/.exec(prompt);
+    const quote = label ? label[2].trim().slice(0, 80).trim() : '';
+
+    let text = `Mock answer to "${question}".`;
+    if (quote) text += `\n\nSOURCES:\n[${label[1]}] "${quote}"`;
+    return {
+      text,
+      model,
+      usage: {
+        promptTokens: prompt.split(/\s+/).filter(Boolean).length,
+        completionTokens: text.split(/\s+/).filter(Boolean).length,
+      },
+    };
+  },
+
+  // Emits the same answer word by word
+  async stream({ prompt, model = this.defaultModel, signal, onToken }) {
+    const result = await this.generate({ prompt, model });
+    for (const token of result.text.match(/\S+\s*|\s+/g) || []) {
+      if (signal?.aborted) {
+        throw new LlmError('Request was cancelled.', { status: 499, code: 'aborted', provider: this.name });
+      }
+      onToken(token);
+      await new Promise(r => setImmediate(r));
+    }
+    return result;
+  },
+};
@@ -0,0 +1,72 @@
+// src/services/llm/ollama.js
+// Local model server exposing Ollama's /api/generate.
+import { LlmError } from './errors.js';
+import { postJson, postStream } from './http.js';
+
+// local models can be slow to load, so allow a longer timeout than hosted APIs
+const TIMEOUT_MS = Number(process.env.OLLAMA_TIMEOUT_MS) || 120000;
+
+export const ollama = {
+  name: 'ollama',
+  defaultModel: process.env.OLLAMA_MODEL || 'llama3.1',
+
+  async generate({ prompt, model = this.defaultModel, signal }) {
+    const data = await postJson(`${baseUrl()}/api/generate`, { model, prompt, stream: false }, {
+      provider: this.name,
+      signal,
+      timeoutMs: TIMEOUT_MS,
+    });
+
+    if (typeof data.response !== 'string') {
+      throw new LlmError('Invalid response from model endpoint', {
+        status: 502, code: 'invalid_response', provider: this.name,
+      });
+    }
+
+    return {
+      text: data.response,
+      model: data.model || model,
+      usage: usageOf(data),
+    };
+  },
+
+  async stream({ prompt, model = this.defaultModel, signal, onToken }) {
+    let text = '';
+    let usage = usageOf(null);
+    let responseModel = model;
+
+    // Ollama streams newline-delimited JSON objects, the last one has done: true
+    await postStream(`${baseUrl()}/api/generate`, { model, prompt, stream: true }, {
+      provider: this.name,
+      signal,
+      timeoutMs: TIMEOUT_MS,
+      onLine: line => {
+        let data;
+        try {
+          data = JSON.parse(line);
+        } catch {
+          return;
+        }
+        if (data.response) {
+          text += data.response;
+          onToken(data.response);
+        }
+        if (data.model) responseModel = data.model;
+        if (data.done) usage = usageOf(data);
+      },
+    });
+
+    return { text, model: responseModel, usage };
+  },
+};
+
+function baseUrl() {
+  return (process.env.OLLAMA_BASE_URL || 'http://localhost:11434').replace(/\/+$/, '');
+}
+
+function usageOf(data) {
+  return {
+    promptTokens: data?.prompt_eval_count ?? null,
+    completionTokens: data?.eval_count ?? null,
+  };
+}
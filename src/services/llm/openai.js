@@ -0,0 +1,76 @@
+// src/services/llm/openai.js
+// Any endpoint speaking the OpenAI chat-completions API (OpenAI, Azure-style proxies, vLLM, LM Studio...).
+import { LlmError } from './errors.js';
+import { postJson, postStream, parseSseData } from './http.js';
+
+export const openai = {
+  name: 'openai',
+  defaultModel: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+
+  async generate({ prompt, model = this.defaultModel, signal }) {
+    const { baseUrl, headers } = config();
+
+    const data = await postJson(`${baseUrl}/chat/completions`, {
+      model,
+      messages: [{ role: 'user', content: prompt }],
+    }, { provider: this.name, headers, signal });
+
+    const text = data.choices?.[0]?.message?.content;
+    if (typeof text !== 'string') {
+      throw new LlmError('Invalid response from model endpoint', {
+        status: 502, code: 'invalid_response', provider: this.name,
+      });
+    }
+
+    return {
+      text,
+      model: data.model || model,
+      usage: usageOf(data),
+    };
+  },
+
+  async stream({ prompt, model = this.defaultModel, signal, onToken }) {
+    const { baseUrl, headers } = config();
+    let text = '';
+    let usage = usageOf(null);
+    let responseModel = model;
+
+    await postStream(`${baseUrl}/chat/completions`, {
+      model,
+      messages: [{ role: 'user', content: prompt }],
+      stream: true,
+      stream_options: { include_usage: true },
+    }, {
+      provider: this.name,
+      headers,
+      signal,
+      onLine: line => {
+        const data = parseSseData(line);
+        if (!data) return;
+        const token = data.choices?.[0]?.delta?.content;
+        if (token) {
+          text += token;
+          onToken(token);
+        }
+        if (data.model) responseModel = data.model;
+        if (data.usage) usage = usageOf(data);
+      },
+    });
+
+    return { text, model: responseModel, usage };
+  },
+};
+
+function config() {
+  return {
+    baseUrl: (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, ''),
+    headers: process.env.OPENAI_API_KEY ? { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` } : {},
+  };
+}
+
+function usageOf(data) {
+  return {
+    promptTokens: data?.usage?.prompt_tokens ?? null,
+    completionTokens: data?.usage?.completion_tokens ?? null,
+  };
+}
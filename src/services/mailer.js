@@ -0,0 +1,51 @@
+// src/services/mailer.js
+// Outgoing mail behind a pluggable transport, selected by MAIL_TRANSPORT:
+//   console (default) – prints the message to stdout
+//   file              – writes one .eml file per message to MAIL_DIR (default ./mail)
+// Real transports (SMTP, an email API, ...) can be added with registerTransport(name, { send }).
+import fs from 'fs';
+import path from 'path';
+
+const MAIL_FROM = process.env.MAIL_FROM || 'DocAI <no-reply@docai.local>';
+
+function toEml({ from, to, subject, text }) {
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${subject}`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    text,
+  ].join('\r\n');
+}
+
+const transports = {
+  console: {
+    async send(message) {
+      console.log(`[mail] ----- to ${message.to} -----\n${toEml(message)}\n[mail] -----`);
+    },
+  },
+  file: {
+    async send(message) {
+      const dir = process.env.MAIL_DIR || 'mail';
+      await fs.promises.mkdir(dir, { recursive: true });
+      const safeTo = String(message.to).replace(/[^a-z0-9@._-]+/gi, '_');
+      const file = path.join(dir, `${Date.now()}_${safeTo}.eml`);
+      await fs.promises.writeFile(file, toEml(message));
+      console.log(`[mail] wrote ${file}`);
+    },
+  },
+};
+
+export function registerTransport(name, transport) {
+  transports[name] = transport;
+}
+
+export async function sendMail({ to, subject, text }) {
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[name];
+  if (!transport) throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+  await transport.send({ from: MAIL_FROM, to, subject, text });
+}
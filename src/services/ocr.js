@@ -0,0 +1,111 @@
+// src/services/ocr.js
+// OCR stage for scanned PDFs and image uploads. Like the pdftotext fallback it
+// shells out to locally installed tools: `tesseract` for recognition and
+// Poppler's `pdftoppm` to rasterize PDF pages. Disable with OCR_ENABLED=false.
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { run } from './exec.js';
+
+const OCR_LANG = process.env.OCR_LANG || 'eng';
+const OCR_DPI = Number(process.env.OCR_DPI) || 300;
+const OCR_TIMEOUT_MS = Number(process.env.OCR_TIMEOUT_MS) || 120000;
+
+let available = null;
+
+// Resolves true when OCR is enabled and the tesseract binary can be run (probed once)
+export async function isOcrAvailable() {
+  if (process.env.OCR_ENABLED === 'false') return false;
+  if (available === null) {
+    available = run('tesseract', ['--version']).then(res => {
+      if (res.status !== 0) console.warn('[ocr] tesseract not found – OCR disabled');
+      return res.status === 0;
+    });
+  }
+  return available;
+}
+
+/**
+ * Parses `tesseract ... tsv` output into pages of text.
+ * Returns [{ page, text, confidence }] with confidence as the mean word confidence (0-100).
+ */
+function parseTsv(tsv) {
+  const pages = new Map();
+  for (const row of tsv.split('\n').slice(1)) {
+    const cols = row.split('\t');
+    if (cols.length < 12 || cols[0] !== '5') continue; // level 5 = word
+    const [, pageNum, block, par, line, , , , , , conf, ...rest] = cols;
+    const word = rest.join('\t').trim();
+    if (!word) continue;
+
+    if (!pages.has(pageNum)) pages.set(pageNum, { lines: new Map(), confSum: 0, words: 0 });
+    const page = pages.get(pageNum);
+    const lineKey = `${block}.${par}.${line}`;
+    if (!page.lines.has(lineKey)) page.lines.set(lineKey, []);
+    page.lines.get(lineKey).push(word);
+
+    const confidence = Number(conf);
+    if (confidence >= 0) {
+      page.confSum += confidence;
+      page.words += 1;
+    }
+  }
+
+  return [...pages.entries()].map(([pageNum, p]) => ({
+    page: Number(pageNum),
+    text: [...p.lines.values()].map(words => words.join(' ')).join('\n'),
+    confidence: p.words ? Math.round((p.confSum / p.words) * 10) / 10 : null,
+  }));
+}
+
+// OCRs an image file (PNG/JPEG/TIFF; multi-page TIFFs yield several pages)
+export async function ocrImage(imagePath) {
+  const res = await run('tesseract', [imagePath, 'stdout', '-l', OCR_LANG, 'tsv'], { timeout: OCR_TIMEOUT_MS });
+  if (res.status !== 0) {
+    console.warn(`[ocr] tesseract failed for ${imagePath}: ${(res.stderr || res.error || '').toString().slice(0, 200)}`);
+    return [];
+  }
+  return parseTsv(res.stdout || '');
+}
+
+/**
+ * Rasterizes the given 1-based PDF pages (all pages when `pageNumbers` is null)
+ * and OCRs them. Returns Map(page -> { text, confidence }).
+ */
+export async function ocrPdfPages(filePath, pageNumbers = null) {
+  const results = new Map();
+  const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'docai-ocr-'));
+  try {
+    const render = (args, prefix) => run('pdftoppm', ['-r', String(OCR_DPI), '-png', ...args, filePath, prefix], {
+      timeout: OCR_TIMEOUT_MS,
+    });
+
+    if (pageNumbers) {
+      for (const page of pageNumbers) {
+        const prefix = path.join(tmpDir, `page-${page}`);
+        const res = await render(['-f', String(page), '-l', String(page), '-singlefile'], prefix);
+        if (res.status !== 0) continue;
+        const [result] = await ocrImage(`${prefix}.png`);
+        if (result) results.set(page, { text: result.text, confidence: result.confidence });
+      }
+    } else {
+      // pdftoppm names pages prefix-1.png / prefix-01.png ... depending on page count
+      const res = await render([], path.join(tmpDir, 'page'));
+      if (res.status !== 0) {
+        console.warn(`[ocr] pdftoppm failed for ${filePath}`);
+        return results;
+      }
+      for (const file of await fs.readdir(tmpDir)) {
+        const match = /^page-(\d+)\.png$/.exec(file);
+        if (!match) continue;
+        const [result] = await ocrImage(path.join(tmpDir, file));
+        if (result) results.set(Number(match[1]), { text: result.text, confidence: result.confidence });
+      }
+    }
+  } catch (e) {
+    console.warn('[ocr] PDF OCR failed', e);
+  } finally {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  }
+  return results;
+}
@@ -0,0 +1,172 @@
+// src/services/qa.js
+// Question answering pipeline shared by /ask and conversation threads:
+// stored text -> relevant passages -> prompt -> model -> verified citations.
+import { getOrIndexDocumentText, getDocumentChunks } from './documentText.js';
+import { selectPassages } from './retrieval.js';
+import {
+  CITATION_INSTRUCTIONS,
+  MULTI_DOCUMENT_CITATION_INSTRUCTIONS,
+  parseAnswer,
+  verifyCitations,
+} from './citations.js';
+
+export const UNEXTRACTABLE_ERROR = 'Unable to extract text. The document has no selectable text and OCR found none – for scanned files make sure OCR is enabled (tesseract + pdftoppm installed) and the scan is legible.';
+const TOP_K = Number(process.env.RETRIEVAL_TOP_K) || 8;
+const MAX_CONTEXT_CHARS = Number(process.env.MAX_CONTEXT_CHARS) || 12000;
+const HISTORY_TURNS = Number(process.env.CONVERSATION_HISTORY_TURNS) || 6;
+const HISTORY_MAX_CHARS = Number(process.env.CONVERSATION_HISTORY_CHARS) || 4000;
+
+// Keeps the most recent messages that fit in the history budget (oldest dropped first)
+function formatHistory(history) {
+  const lines = [];
+  let used = 0;
+  for (const message of history.slice(-HISTORY_TURNS * 2).reverse()) {
+    const line = `${message.role === 'assistant' ? 'Assistant' : 'User'}: ${message.content}`;
+    if (used + line.length > HISTORY_MAX_CHARS) break;
+    lines.unshift(line);
+    used += line.length;
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Builds the prompt for a question about one document.
+ * Returns { error, status } when the document has no usable text,
+ * otherwise { prompt, passages, stored }.
+ * `history` is an array of prior { role, content } messages (oldest first).
+ */
+export async function prepareQuestion(document, question, { history = [] } = {}) {
+  const stored = await getOrIndexDocumentText(document);
+  const text = stored.content;
+  if (stored.status !== 'ready' || !text || !text.trim()) {
+    return {
+      status: stored.status === 'processing' ? 409 : 422,
+      error: stored.error || UNEXTRACTABLE_ERROR,
+    };
+  }
+
+  // Follow-ups like "what about clause 4?" also retrieve with the previous question's terms
+  const lastUserMessage = [...history].reverse().find(m => m.role === 'user');
+  const query = lastUserMessage ? `${question} ${lastUserMessage.content}` : question;
+
+  // Only the passages most relevant to the question go into the prompt
+  const chunks = await getDocumentChunks(stored);
+  const passages = selectPassages(chunks, query, { limit: TOP_K, maxChars: MAX_CONTEXT_CHARS });
+  const context = passages
+    .map(p => `[Passage ${p.index + 1}]\n${p.content}`)
+    .join('\n\n');
+
+  const conversation = formatHistory(history);
+  const prompt = [
+    `Answer the question based on the following passages from the document:\n\n${context}`,
+    conversation ? `Conversation so far:\n${conversation}` : null,
+    CITATION_INSTRUCTIONS,
+    `Question: ${question}`,
+  ].filter(Boolean).join('\n\n');
+
+  return { prompt, passages, stored };
+}
+
+// Turns raw model output into the API answer shape, verifying every quoted snippet
+export function buildAnswer(prepared, result) {
+  const { passages, stored } = prepared;
+  const parsed = parseAnswer(result.text);
+  const citations = verifyCitations(parsed.quotes, { text: stored.content, pages: stored.pages, passages });
+
+  return {
+    answer: parsed.answer || 'No answer',
+    citations,
+    unverifiedCitations: citations.filter(c => !c.verified).length,
+    provider: result.provider,
+    model: result.model,
+    usage: result.usage,
+    chunks: passages.map(p => ({ index: p.index, start: p.start, end: p.end, score: p.score })),
+  };
+}
+
+/**
+ * Builds one prompt over several documents. Every document gets an equal share
+ * of the passage count and character budget; documents without usable text are
+ * reported in `skipped` instead of failing the whole question.
+ * Returns { error, status } when none of them has text, otherwise
+ * { prompt, sources: [{ document, stored, passages }], skipped }.
+ */
+export async function prepareMultiDocumentQuestion(documents, question) {
+  const perDocLimit = Math.max(2, Math.floor(TOP_K / documents.length));
+  const perDocChars = Math.max(1500, Math.floor(MAX_CONTEXT_CHARS / documents.length));
+
+  const sources = [];
+  const skipped = [];
+  for (const document of documents) {
+    const stored = await getOrIndexDocumentText(document);
+    if (stored.status !== 'ready' || !stored.content || !stored.content.trim()) {
+      skipped.push({ id: document.id, reason: stored.error || 'No extractable text' });
+      continue;
+    }
+    const chunks = await getDocumentChunks(stored);
+    const passages = selectPassages(chunks, question, { limit: perDocLimit, maxChars: perDocChars });
+    sources.push({ document, stored, passages });
+  }
+
+  if (sources.length === 0) {
+    return { status: 422, error: UNEXTRACTABLE_ERROR, skipped };
+  }
+
+  const context = sources
+    .map((source, i) => {
+      const header = `=== Document ${i + 1}: ${source.document.title} ===`;
+      const body = source.passages
+        .map(p => `[Document ${i + 1}, Passage ${p.index + 1}]\n${p.content}`)
+        .join('\n\n');
+      return `${header}\n${body}`;
+    })
+    .join('\n\n');
+
+  const prompt = [
+    `Answer the question based on the following passages from ${sources.length} documents:\n\n${context}`,
+    MULTI_DOCUMENT_CITATION_INSTRUCTIONS,
+    `Question: ${question}`,
+  ].join('\n\n');
+
+  return { prompt, sources, skipped };
+}
+
+// Multi-document counterpart of buildAnswer: citations carry their source document
+export function buildMultiDocumentAnswer(prepared, result) {
+  const { sources, skipped } = prepared;
+  const parsed = parseAnswer(result.text);
+
+  const citations = parsed.quotes.map(quote => {
+    const source = sources[(quote.document || 0) - 1];
+    if (!source) {
+      return { documentId: null, title: null, quote: quote.quote, passage: quote.passage, page: null, start: null, end: null, verified: false };
+    }
+    const [citation] = verifyCitations([quote], {
+      text: source.stored.content,
+      pages: source.stored.pages,
+      passages: source.passages,
+    });
+    return { documentId: source.document.id, title: source.document.title, ...citation };
+  });
+
+  // "[Document n]" labels in the answer are rewritten to the real document titles/ids
+  const answer = (parsed.answer || 'No answer').replace(/\[Document (\d+)\]/g, (label, n) => {
+    const source = sources[Number(n) - 1];
+    return source ? `[${source.document.title} (#${source.document.id})]` : label;
+  });
+
+  return {
+    answer,
+    citations,
+    unverifiedCitations: citations.filter(c => !c.verified).length,
+    documents: sources.map(s => ({
+      id: s.document.id,
+      title: s.document.title,
+      chunks: s.passages.map(p => ({ index: p.index, start: p.start, end: p.end, score: p.score })),
+    })),
+    skipped,
+    provider: result.provider,
+    model: result.model,
+    usage: result.usage,
+  };
+}
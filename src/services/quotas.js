@@ -0,0 +1,89 @@
+// src/services/quotas.js
+// Per-user daily allowances (UTC days), stored in UsageCounter.
+// Limits come from env; 0 means unlimited.
+import { prisma } from '../prismaClient.js';
+
+export const QUOTAS = {
+  questions: Number(process.env.DAILY_QUESTION_QUOTA ?? 100),
+};
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function nextReset() {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+}
+
+async function usedToday(userId, metric) {
+  const counter = await prisma.usageCounter.findUnique({
+    where: { userId_day_metric: { userId, day: today(), metric } },
+  });
+  return counter?.count ?? 0;
+}
+
+// { metric, limit, used, remaining, resetsAt } – limit/remaining are null when unlimited
+export async function getQuotaStatus(userId, metric) {
+  const limit = QUOTAS[metric] || null;
+  const used = await usedToday(userId, metric);
+  return {
+    metric,
+    limit,
+    used,
+    remaining: limit === null ? null : Math.max(0, limit - used),
+    resetsAt: nextReset(),
+  };
+}
+
+export async function recordUsage(userId, metric, amount = 1) {
+  const day = today();
+  await prisma.usageCounter.upsert({
+    where: { userId_day_metric: { userId, day, metric } },
+    create: { userId, day, metric, count: amount },
+    update: { count: { increment: amount } },
+  });
+}
+
+/**
+ * Takes one use of `metric` up front, so parallel requests can't all pass a
+ * check made before any of them is counted: the counter only moves while it is
+ * below the limit. Resolves the quota status plus `reserved` and the `day`
+ * to hand back to releaseUsage() if the request fails.
+ */
+export async function reserveUsage(userId, metric) {
+  const limit = QUOTAS[metric] || null;
+  const day = today();
+  if (limit === null) {
+    await recordUsage(userId, metric);
+    return { ...(await getQuotaStatus(userId, metric)), reserved: true, day };
+  }
+
+  try {
+    await prisma.usageCounter.upsert({
+      where: { userId_day_metric: { userId, day, metric } },
+      create: { userId, day, metric, count: 0 },
+      update: {},
+    });
+  } catch (err) {
+    // a parallel request created today's row first
+    if (err.code !== 'P2002') throw err;
+  }
+  const { count } = await prisma.usageCounter.updateMany({
+    where: { userId, day, metric, count: { lt: limit } },
+    data: { count: { increment: 1 } },
+  });
+  return { ...(await getQuotaStatus(userId, metric)), reserved: count === 1, day };
+}
+
+// Gives back a use taken by reserveUsage() on the day it was taken
+export async function releaseUsage(userId, metric, day = today()) {
+  await prisma.usageCounter.updateMany({
+    where: { userId, day, metric, count: { gt: 0 } },
+    data: { count: { decrement: 1 } },
+  });
+}
+
+export async function getUsage(userId) {
+  return Promise.all(Object.keys(QUOTAS).map(metric => getQuotaStatus(userId, metric)));
+}
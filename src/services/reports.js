@@ -0,0 +1,268 @@
+// src/services/reports.js
+// Exportable report for one document: title page, metadata, the cached
+// summary and the caller's Q&A threads with their cited passages.
+// buildReport() gathers the data once; each renderer turns it into a Buffer.
+import fs from 'fs';
+import PDFDocument from 'pdfkit';
+import { Document as DocxDocument, Packer, Paragraph, TextRun, HeadingLevel, AlignmentType, PageBreak, Footer, PageNumber } from 'docx';
+import { prisma } from '../prismaClient.js';
+import { getSummary } from './summaries.js';
+
+export const REPORT_FORMATS = {
+  docx: {
+    extension: 'docx',
+    contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    render: renderDocx,
+  },
+  pdf: { extension: 'pdf', contentType: 'application/pdf', render: renderPdf },
+  md: { extension: 'md', contentType: 'text/markdown; charset=utf-8', render: renderMarkdown },
+};
+
+// Built-in PDF fonts only cover Latin-1; point this at a .ttf for other scripts
+const PDF_FONT = process.env.REPORT_PDF_FONT || null;
+
+// Pairs each question with the answer that followed it
+function toExchanges(messages) {
+  const exchanges = [];
+  for (const message of messages) {
+    if (message.role === 'user') {
+      exchanges.push({ question: message.content, askedAt: message.createdAt, answer: null, citations: [] });
+    } else if (exchanges.length && exchanges[exchanges.length - 1].answer === null) {
+      const last = exchanges[exchanges.length - 1];
+      last.answer = message.content;
+      last.citations = message.citations ? JSON.parse(message.citations) : [];
+    }
+  }
+  return exchanges;
+}
+
+/**
+ * Collects everything a report shows. Only the caller's own conversations are
+ * included (all of them, or just `conversationId`); the summary is read from
+ * the cache and never generated here – `summaryOmitted` names the style when none is cached.
+ */
+export async function buildReport(document, { userId, conversationId, summaryStyle, includeConversations = true }) {
+  const [owner, text, version] = await Promise.all([
+    prisma.user.findUnique({ where: { id: document.userId }, select: { username: true } }),
+    prisma.documentText.findUnique({
+      where: { documentId: document.id },
+      select: { format: true, _count: { select: { pages: true } } },
+    }),
+    prisma.documentVersion.findUnique({
+      where: { documentId_version: { documentId: document.id, version: document.currentVersion } },
+      select: { size: true, createdAt: true },
+    }),
+  ]);
+
+  const summary = summaryStyle ? await getSummary(document, summaryStyle, { cacheOnly: true }) : null;
+
+  const conversations = includeConversations
+    ? await prisma.conversation.findMany({
+        where: {
+          documentId: document.id,
+          userId,
+          ...(conversationId ? { id: conversationId } : {}),
+        },
+        orderBy: { createdAt: 'asc' },
+        include: { messages: { orderBy: { id: 'asc' } } },
+      })
+    : [];
+
+  return {
+    title: document.title,
+    generatedAt: new Date(),
+    metadata: [
+      ['Document ID', document.id],
+      ['File name', document.originalName],
+      ['Format', text?.format?.toUpperCase()],
+      ['Pages', text?._count.pages || null],
+      ['Size', version?.size != null ? formatBytes(version.size) : null],
+      ['Version', document.currentVersion],
+      ['Owner', owner?.username],
+      ['Uploaded', formatDate(document.uploadedAt)],
+      ['Last changed', version ? formatDate(version.createdAt) : null],
+      ['SHA-256', document.sha256],
+    ].filter(([, value]) => value !== null && value !== undefined && value !== ''),
+    summary: summary?.summary ? { style: summaryStyle, content: summary.summary, model: summary.model } : null,
+    summaryOmitted: summaryStyle && !summary?.summary ? summaryStyle : null,
+    conversations: conversations.map(c => ({
+      title: c.title,
+      createdAt: c.createdAt,
+      exchanges: toExchanges(c.messages),
+    })),
+  };
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function formatDate(date) {
+  return new Date(date).toISOString().replace('T', ' ').slice(0, 16) + ' UTC';
+}
+
+function citationLabel(citation, index) {
+  const where = [citation.page ? `page ${citation.page}` : null, citation.verified === false ? 'unverified' : null]
+    .filter(Boolean)
+    .join(', ');
+  return `[${index + 1}]${where ? ` (${where})` : ''}`;
+}
+
+// ------------------------------------------- MARKDOWN -------------------------------------------
+function quoteBlock(text) {
+  return text.split('\n').map(line => `> ${line}`).join('\n');
+}
+
+export async function renderMarkdown(report) {
+  const out = [
+    `# ${report.title}`,
+    '',
+    `_Report generated ${formatDate(report.generatedAt)}_`,
+    '',
+    '## Document',
+    '',
+    '| Field | Value |',
+    '| --- | --- |',
+    ...report.metadata.map(([label, value]) => `| ${label} | ${String(value).replace(/\|/g, '\\|')} |`),
+    '',
+  ];
+
+  if (report.summary) {
+    out.push(`## Summary (${report.summary.style})`, '', report.summary.content, '');
+  }
+
+  if (!report.conversations.length) {
+    out.push('## Questions and answers', '', '_No conversations._', '');
+  }
+  for (const conversation of report.conversations) {
+    out.push(`## ${conversation.title}`, '', `_Started ${formatDate(conversation.createdAt)}_`, '');
+    conversation.exchanges.forEach((exchange, i) => {
+      out.push(`### Q${i + 1}. ${exchange.question.replace(/\s+/g, ' ')}`, '');
+      out.push(exchange.answer ?? '_No answer recorded._', '');
+      if (exchange.citations.length) {
+        out.push('**Sources**', '');
+        exchange.citations.forEach((citation, j) => {
+          out.push(`${citationLabel(citation, j)}`, '', quoteBlock(citation.quote), '');
+        });
+      }
+    });
+  }
+
+  return Buffer.from(out.join('\n'), 'utf8');
+}
+
+// ------------------------------------------- DOCX -------------------------------------------
+function textParagraphs(text, options = {}) {
+  return text.split(/\n+/).filter(Boolean).map(line => new Paragraph({ ...options, children: [new TextRun(line)] }));
+}
+
+export async function renderDocx(report) {
+  const children = [
+    new Paragraph({ text: report.title, heading: HeadingLevel.TITLE, alignment: AlignmentType.CENTER, spacing: { before: 2400 } }),
+    new Paragraph({
+      alignment: AlignmentType.CENTER,
+      children: [new TextRun({ text: `Report generated ${formatDate(report.generatedAt)}`, italics: true })],
+    }),
+    new Paragraph({ children: [new PageBreak()] }),
+    new Paragraph({ text: 'Document', heading: HeadingLevel.HEADING_1 }),
+    ...report.metadata.map(
+      ([label, value]) => new Paragraph({ children: [new TextRun({ text: `${label}: `, bold: true }), new TextRun(String(value))] })
+    ),
+  ];
+
+  if (report.summary) {
+    children.push(new Paragraph({ text: `Summary (${report.summary.style})`, heading: HeadingLevel.HEADING_1 }));
+    children.push(...textParagraphs(report.summary.content));
+  }
+
+  if (!report.conversations.length) {
+    children.push(new Paragraph({ text: 'Questions and answers', heading: HeadingLevel.HEADING_1 }));
+    children.push(new Paragraph({ children: [new TextRun({ text: 'No conversations.', italics: true })] }));
+  }
+  for (const conversation of report.conversations) {
+    children.push(new Paragraph({ text: conversation.title, heading: HeadingLevel.HEADING_1 }));
+    conversation.exchanges.forEach((exchange, i) => {
+      children.push(new Paragraph({ text: `Q${i + 1}. ${exchange.question}`, heading: HeadingLevel.HEADING_2 }));
+      children.push(...textParagraphs(exchange.answer ?? 'No answer recorded.'));
+      exchange.citations.forEach((citation, j) => {
+        children.push(
+          new Paragraph({
+            indent: { left: 720 },
+            children: [
+              new TextRun({ text: `${citationLabel(citation, j)} `, bold: true }),
+              new TextRun({ text: `“${citation.quote}”`, italics: true }),
+            ],
+          })
+        );
+      });
+    });
+  }
+
+  const doc = new DocxDocument({
+    title: report.title,
+    creator: 'DocAI',
+    sections: [
+      {
+        footers: {
+          default: new Footer({
+            children: [new Paragraph({ alignment: AlignmentType.CENTER, children: [new TextRun({ children: [PageNumber.CURRENT] })] })],
+          }),
+        },
+        children,
+      },
+    ],
+  });
+  return Packer.toBuffer(doc);
+}
+
+// ------------------------------------------- PDF -------------------------------------------
+export function renderPdf(report) {
+  return new Promise((resolve, reject) => {
+    const pdf = new PDFDocument({ size: 'A4', margin: 56, info: { Title: report.title, Creator: 'DocAI' } });
+    const chunks = [];
+    pdf.on('data', chunk => chunks.push(chunk));
+    pdf.on('end', () => resolve(Buffer.concat(chunks)));
+    pdf.on('error', reject);
+
+    const regular = PDF_FONT && fs.existsSync(PDF_FONT) ? PDF_FONT : 'Helvetica';
+    const bold = regular === 'Helvetica' ? 'Helvetica-Bold' : regular;
+    const italic = regular === 'Helvetica' ? 'Helvetica-Oblique' : regular;
+
+    // Title page
+    pdf.y = 260;
+    pdf.font(bold).fontSize(26).text(report.title, { align: 'center' });
+    pdf.moveDown().font(italic).fontSize(11).text(`Report generated ${formatDate(report.generatedAt)}`, { align: 'center' });
+
+    pdf.addPage();
+    pdf.font(bold).fontSize(16).text('Document').moveDown(0.5);
+    for (const [label, value] of report.metadata) {
+      pdf.font(bold).fontSize(10).text(`${label}: `, { continued: true }).font(regular).text(String(value));
+    }
+
+    if (report.summary) {
+      pdf.moveDown().font(bold).fontSize(16).text(`Summary (${report.summary.style})`).moveDown(0.5);
+      pdf.font(regular).fontSize(11).text(report.summary.content);
+    }
+
+    if (!report.conversations.length) {
+      pdf.moveDown().font(bold).fontSize(16).text('Questions and answers').moveDown(0.5);
+      pdf.font(italic).fontSize(11).text('No conversations.');
+    }
+    for (const conversation of report.conversations) {
+      pdf.moveDown().font(bold).fontSize(16).text(conversation.title);
+      pdf.font(italic).fontSize(9).text(`Started ${formatDate(conversation.createdAt)}`).moveDown(0.5);
+      conversation.exchanges.forEach((exchange, i) => {
+        pdf.moveDown(0.5).font(bold).fontSize(12).text(`Q${i + 1}. ${exchange.question}`);
+        pdf.font(regular).fontSize(11).text(exchange.answer ?? 'No answer recorded.');
+        exchange.citations.forEach((citation, j) => {
+          pdf.font(bold).fontSize(9).text(`${citationLabel(citation, j)} `, { indent: 20, continued: true })
+            .font(italic).text(`“${citation.quote}”`);
+        });
+      });
+    }
+
+    pdf.end();
+  });
+}
@@ -0,0 +1,109 @@
+// src/services/retrieval.js
+// Overlapping chunking + a small in-process BM25 index, so /ask only sends the
+// passages most relevant to the question instead of the first N characters.
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from',
+  'has', 'have', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'no', 'not',
+  'of', 'on', 'or', 'our', 'should', 'so', 'that', 'the', 'their', 'them', 'then', 'there',
+  'these', 'they', 'this', 'to', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who',
+  'why', 'will', 'with', 'would', 'you', 'your',
+]);
+
+export const CHUNK_SIZE = Number(process.env.CHUNK_SIZE) || 1200;
+export const CHUNK_OVERLAP = Number(process.env.CHUNK_OVERLAP) || 200;
+
+export function tokenize(text) {
+  return (String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(t => t.length > 1 && !STOPWORDS.has(t));
+}
+
+// Splits text into ~size-char windows overlapping by `overlap` chars.
+// Boundaries are nudged back to the nearest whitespace so words are not cut in half.
+export function chunkText(text, { size = CHUNK_SIZE, overlap = CHUNK_OVERLAP } = {}) {
+  const chunks = [];
+  if (!text) return chunks;
+  const step = Math.max(1, size - overlap);
+
+  let start = 0;
+  while (start < text.length) {
+    let end = Math.min(text.length, start + size);
+    if (end < text.length) {
+      const lastSpace = text.lastIndexOf(' ', end);
+      const lastBreak = text.lastIndexOf('\n', end);
+      const cut = Math.max(lastSpace, lastBreak);
+      if (cut > start + step / 2) end = cut;
+    }
+
+    const content = text.slice(start, end);
+    if (content.trim()) {
+      chunks.push({ index: chunks.length, start, end, content });
+    }
+    if (end >= text.length) break;
+
+    let next = Math.max(start + 1, end - overlap);
+    // start the next chunk on a word boundary too
+    const space = text.indexOf(' ', next);
+    if (space !== -1 && space < end) next = space + 1;
+    start = next;
+  }
+  return chunks;
+}
+
+// Okapi BM25 over an array of { content } chunks.
+export function buildIndex(chunks, { k1 = 1.2, b = 0.75 } = {}) {
+  const docs = chunks.map(chunk => {
+    const freqs = new Map();
+    const tokens = tokenize(chunk.content);
+    for (const t of tokens) freqs.set(t, (freqs.get(t) || 0) + 1);
+    return { chunk, freqs, length: tokens.length };
+  });
+
+  const df = new Map();
+  for (const d of docs) {
+    for (const term of d.freqs.keys()) df.set(term, (df.get(term) || 0) + 1);
+  }
+
+  const avgLength = docs.reduce((sum, d) => sum + d.length, 0) / (docs.length || 1);
+  return { docs, df, avgLength, k1, b };
+}
+
+export function search(index, query, limit = 5) {
+  const terms = [...new Set(tokenize(query))];
+  const N = index.docs.length;
+  const scored = index.docs.map(d => {
+    let score = 0;
+    for (const term of terms) {
+      const tf = d.freqs.get(term);
+      if (!tf) continue;
+      const n = index.df.get(term) || 0;
+      const idf = Math.log(1 + (N - n + 0.5) / (n + 0.5));
+      const norm = tf + index.k1 * (1 - index.b + index.b * (d.length / (index.avgLength || 1)));
+      score += idf * ((tf * (index.k1 + 1)) / norm);
+    }
+    return { ...d.chunk, score };
+  });
+
+  return scored
+    .filter(c => c.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+// Picks the best-scoring chunks that fit in `maxChars`, returned in document order.
+// Falls back to the opening chunks when nothing in the question matches lexically.
+export function selectPassages(chunks, question, { limit = 8, maxChars = 12000 } = {}) {
+  let ranked = search(buildIndex(chunks), question, limit);
+  if (ranked.length === 0) {
+    ranked = chunks.slice(0, limit).map(c => ({ ...c, score: 0 }));
+  }
+
+  const selected = [];
+  let used = 0;
+  for (const chunk of ranked) {
+    if (used + chunk.content.length > maxChars && selected.length > 0) continue;
+    selected.push(chunk);
+    used += chunk.content.length;
+  }
+  return selected.sort((a, b) => a.start - b.start);
+}
@@ -0,0 +1,163 @@
+// src/services/search.js
+// Full-text search over extracted document text using an SQLite FTS5 index.
+// The index is an external-content FTS5 table over DocumentText kept in sync by
+// triggers, both created by the document_search migration (Prisma's schema cannot
+// describe virtual tables); searching falls back to a LIKE scan without it.
+import { prisma } from '../prismaClient.js';
+
+const SNIPPET_TOKENS = 16;
+const MAX_MATCHES = 1000;
+const OPEN = '<mark>';
+const CLOSE = '</mark>';
+// FTS5 markers are control chars so the text can be HTML-escaped before <mark> is added
+const START_MARK = '\u0001';
+const END_MARK = '\u0002';
+
+let indexed = null;
+
+// Looked up once per process: the index only appears through a migration, which means a
+// restart anyway. A failed lookup isn't remembered, so the next search tries again.
+async function hasIndex() {
+  if (indexed !== null) return indexed;
+  try {
+    const rows = await prisma.$queryRawUnsafe(
+      "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'DocumentSearch'"
+    );
+    indexed = rows.length > 0;
+    if (!indexed) console.warn('search: DocumentSearch index missing (run prisma migrate deploy), using LIKE scan');
+    return indexed;
+  } catch (e) {
+    console.warn('search: index lookup failed, using LIKE scan', e?.message || e);
+    return false;
+  }
+}
+
+// Turns free text into a safe FTS5 query: every word/"quoted phrase" must match,
+// a trailing * keeps prefix matching; FTS operators in user input are neutralized.
+export function toFtsQuery(input) {
+  const parts = String(input).match(/"[^"]+"|\S+/g) || [];
+  return parts
+    .map(part => {
+      const prefix = part.endsWith('*');
+      const term = part.replace(/["*]/g, '').trim();
+      if (!term) return null;
+      return `"${term}"${prefix ? '*' : ''}`;
+    })
+    .filter(Boolean)
+    .join(' ');
+}
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]));
+}
+
+function renderSnippet(marked) {
+  return escapeHtml(marked || '').split(START_MARK).join(OPEN).split(END_MARK).join(CLOSE);
+}
+
+function idList(documentIds) {
+  return documentIds.map(Number).filter(Number.isFinite).join(',') || 'NULL';
+}
+
+// ---- LIKE fallback ----
+
+function likeSnippet(content, terms) {
+  const lower = content.toLowerCase();
+  const first = Math.min(...terms.map(t => lower.indexOf(t)).filter(i => i >= 0));
+  const start = Math.max(0, first - 80);
+  let snippet = escapeHtml(content.slice(start, first + 160));
+  for (const term of terms) {
+    snippet = snippet.replace(new RegExp(term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi'), m => `${OPEN}${m}${CLOSE}`);
+  }
+  return `${start > 0 ? '…' : ''}${snippet}…`;
+}
+
+async function searchWithLike(query, documentIds) {
+  const terms = (String(query).toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+  if (terms.length === 0) return new Map();
+
+  const texts = await prisma.documentText.findMany({
+    where: {
+      AND: terms.map(term => ({ content: { contains: term } })),
+      ...(documentIds ? { documentId: { in: documentIds } } : {}),
+    },
+    select: { documentId: true, content: true },
+    take: MAX_MATCHES,
+  });
+
+  const hits = new Map();
+  for (const { documentId, content } of texts) {
+    const lower = content.toLowerCase();
+    const matches = terms.reduce((sum, t) => sum + (lower.split(t).length - 1), 0);
+    hits.set(documentId, { rank: -matches, matches, snippet: likeSnippet(content, terms) });
+  }
+  return hits;
+}
+
+/**
+ * Searches document contents. Returns a Map of documentId -> { rank, snippet }
+ * (lower rank = more relevant) for up to 1000 matching documents.
+ * Snippets are HTML-escaped with matches wrapped in <mark>…</mark>.
+ * Pass `documentIds` to restrict the search (e.g. to the user's documents).
+ */
+export async function searchDocumentContent(query, { documentIds } = {}) {
+  const ftsQuery = toFtsQuery(query);
+  if (!ftsQuery) return new Map();
+
+  if (!(await hasIndex())) return searchWithLike(query, documentIds);
+
+  const idFilter = documentIds ? `AND t.documentId IN (${idList(documentIds)})` : '';
+
+  let rows;
+  try {
+    rows = await prisma.$queryRawUnsafe(
+      `SELECT t.documentId AS documentId,
+              bm25(DocumentSearch) AS rank,
+              snippet(DocumentSearch, 0, char(1), char(2), '…', ${SNIPPET_TOKENS}) AS snippet
+         FROM DocumentSearch
+         JOIN DocumentText t ON t.id = DocumentSearch.rowid
+        WHERE DocumentSearch MATCH ? ${idFilter}
+        ORDER BY rank
+        LIMIT ${MAX_MATCHES}`,
+      ftsQuery
+    );
+  } catch (e) {
+    console.warn('search: FTS query failed, falling back to LIKE scan', e?.message || e);
+    return searchWithLike(query, documentIds);
+  }
+
+  const hits = new Map();
+  for (const row of rows) {
+    hits.set(Number(row.documentId), { rank: Number(row.rank), snippet: renderSnippet(row.snippet) });
+  }
+  return hits;
+}
+
+// Number of matched tokens per document (documentId -> count), for a page of results
+export async function countContentMatches(query, documentIds) {
+  const ftsQuery = toFtsQuery(query);
+  const counts = new Map();
+  if (!ftsQuery || documentIds.length === 0) return counts;
+
+  if (!(await hasIndex())) {
+    const hits = await searchWithLike(query, documentIds);
+    for (const [id, hit] of hits) counts.set(id, hit.matches);
+    return counts;
+  }
+
+  try {
+    const rows = await prisma.$queryRawUnsafe(
+      `SELECT t.documentId AS documentId, highlight(DocumentSearch, 0, char(1), char(2)) AS marked
+         FROM DocumentSearch
+         JOIN DocumentText t ON t.id = DocumentSearch.rowid
+        WHERE DocumentSearch MATCH ? AND t.documentId IN (${idList(documentIds)})`,
+      ftsQuery
+    );
+    for (const row of rows) {
+      counts.set(Number(row.documentId), (row.marked || '').split(START_MARK).length - 1);
+    }
+  } catch (e) {
+    console.warn('search: match count failed', e?.message || e);
+  }
+  return counts;
+}
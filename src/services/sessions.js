@@ -0,0 +1,133 @@
+// src/services/sessions.js
+// Server-side login sessions. Each login gets a short-lived access JWT carrying
+// the session id (`sid`) and an opaque refresh token that is rotated on every
+// refresh. Presenting an already-rotated refresh token revokes the session,
+// since it means the token was copied.
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { prisma } from '../prismaClient.js';
+
+export const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function newRefreshToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 3600 * 1000);
+}
+
+export function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { id: user.id, username: user.username, email: user.email, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// Token pair returned by login and refresh
+function issueTokens(user, session, refreshToken) {
+  return {
+    token: signAccessToken(user, session.id),
+    refreshToken,
+    refreshTokenExpiresAt: session.expiresAt,
+    sessionId: session.id,
+  };
+}
+
+export async function createSession(user, { userAgent, ip } = {}) {
+  const refreshToken = newRefreshToken();
+  const session = await prisma.session.create({
+    data: {
+      userId: user.id,
+      refreshTokenHash: hashToken(refreshToken),
+      userAgent: userAgent ? String(userAgent).slice(0, 255) : null,
+      ip: ip || null,
+      expiresAt: refreshExpiry(),
+    },
+  });
+  return issueTokens(user, session, refreshToken);
+}
+
+/**
+ * Exchanges a refresh token for a new pair.
+ * Resolves { user, ...tokens } or { status, error } ready to send.
+ */
+export async function rotateSession(refreshToken, { ip } = {}) {
+  const hash = hashToken(refreshToken);
+  const session = await prisma.session.findUnique({ where: { refreshTokenHash: hash }, include: { user: true } });
+
+  if (!session) {
+    // A rotated-out token coming back means it leaked: kill that session
+    const reused = await prisma.session.findUnique({ where: { previousTokenHash: hash } });
+    if (reused && !reused.revokedAt) {
+      await prisma.session.update({ where: { id: reused.id }, data: { revokedAt: new Date() } });
+      console.warn(`[auth] refresh token reuse detected, revoked session ${reused.id}`);
+    }
+    return { status: 401, error: 'Invalid refresh token' };
+  }
+  if (session.revokedAt || session.expiresAt <= new Date()) {
+    return { status: 401, error: 'Session expired, please log in again' };
+  }
+
+  const next = newRefreshToken();
+  const data = {
+    refreshTokenHash: hashToken(next),
+    previousTokenHash: hash,
+    lastUsedAt: new Date(),
+    expiresAt: refreshExpiry(),
+    ...(ip && { ip }),
+  };
+  // Only the request still holding the current token rotates it; losing that race means
+  // the same token was presented twice, which is treated like any other reuse
+  const { count } = await prisma.session.updateMany({
+    where: { id: session.id, refreshTokenHash: hash, revokedAt: null },
+    data,
+  });
+  if (count === 0) {
+    await prisma.session.updateMany({ where: { id: session.id, revokedAt: null }, data: { revokedAt: new Date() } });
+    console.warn(`[auth] refresh token reuse detected, revoked session ${session.id}`);
+    return { status: 401, error: 'Invalid refresh token' };
+  }
+  return { user: session.user, ...issueTokens(session.user, { ...session, ...data }, next) };
+}
+
+// True when the session behind an access token has not been revoked or expired
+export async function isSessionActive(sessionId) {
+  if (!sessionId) return false;
+  const session = await prisma.session.findUnique({
+    where: { id: sessionId },
+    select: { revokedAt: true, expiresAt: true },
+  });
+  return Boolean(session && !session.revokedAt && session.expiresAt > new Date());
+}
+
+export async function revokeSession(userId, sessionId) {
+  const { count } = await prisma.session.updateMany({
+    where: { id: sessionId, userId, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+  return count > 0;
+}
+
+// Revokes every session of the user except `keepSessionId` (if given)
+export async function revokeOtherSessions(userId, keepSessionId) {
+  const { count } = await prisma.session.updateMany({
+    where: { userId, revokedAt: null, ...(keepSessionId && { id: { not: keepSessionId } }) },
+    data: { revokedAt: new Date() },
+  });
+  return count;
+}
+
+export async function listActiveSessions(userId) {
+  return prisma.session.findMany({
+    where: { userId, revokedAt: null, expiresAt: { gt: new Date() } },
+    select: { id: true, userAgent: true, ip: true, createdAt: true, lastUsedAt: true, expiresAt: true },
+    orderBy: { lastUsedAt: 'desc' },
+  });
+}
@@ -0,0 +1,72 @@
+// src/services/shareLinks.js
+// Public, read-only links to a document. Only a SHA-256 of the token is stored,
+// links always expire, and may additionally require a password.
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import { prisma } from '../prismaClient.js';
+
+export const DEFAULT_LINK_HOURS = Number(process.env.SHARE_LINK_DEFAULT_HOURS) || 24 * 7;
+export const MAX_LINK_HOURS = Number(process.env.SHARE_LINK_MAX_HOURS) || 24 * 30;
+
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Public view of a link (never includes the token or password hash)
+export function serializeShareLink(link) {
+  return {
+    id: link.id,
+    documentId: link.documentId,
+    expiresAt: link.expiresAt,
+    revokedAt: link.revokedAt,
+    hasPassword: Boolean(link.passwordHash),
+    createdAt: link.createdAt,
+    lastUsedAt: link.lastUsedAt,
+    active: !link.revokedAt && (!link.expiresAt || link.expiresAt > new Date()),
+  };
+}
+
+// Creates a link and returns it together with the plain token (shown only once)
+export async function createShareLink(documentId, createdById, { expiresAt, password }) {
+  const token = crypto.randomBytes(24).toString('base64url');
+  const link = await prisma.shareLink.create({
+    data: {
+      documentId,
+      createdById,
+      tokenHash: hashToken(token),
+      passwordHash: password ? await bcrypt.hash(password, 10) : null,
+      expiresAt,
+    },
+  });
+  return { link, token };
+}
+
+/**
+ * Resolves a public token to its document.
+ * Resolves { link, document } or { status, error, code? } ready to send.
+ */
+export async function resolveShareLink(token, password) {
+  const link = await prisma.shareLink.findUnique({
+    where: { tokenHash: hashToken(token) },
+    include: { document: true },
+  });
+  // links to a trashed document stop working until it is restored
+  if (!link || link.revokedAt || link.document.deletedAt) {
+    return { status: 404, error: 'Share link not found' };
+  }
+  if (link.expiresAt && link.expiresAt <= new Date()) {
+    return { status: 410, error: 'Share link has expired' };
+  }
+  if (link.passwordHash) {
+    if (!password) {
+      return { status: 401, error: 'Password required', code: 'password_required' };
+    }
+    if (!(await bcrypt.compare(String(password), link.passwordHash))) {
+      return { status: 401, error: 'Invalid password', code: 'invalid_password' };
+    }
+  }
+
+  await prisma.shareLink.update({ where: { id: link.id }, data: { lastUsedAt: new Date() } });
+  const { document, ...rest } = link;
+  return { link: rest, document };
+}
@@ -0,0 +1,43 @@
+// src/services/sse.js
+// Minimal Server-Sent Events writer with heartbeats and disconnect detection.
+
+const HEARTBEAT_MS = Number(process.env.SSE_HEARTBEAT_MS) || 15000;
+
+/**
+ * Switches `res` to an event stream. Returns { send, close, signal } where
+ * `signal` aborts when the client disconnects before close() is called,
+ * so upstream work can be cancelled.
+ */
+export function openEventStream(res) {
+  const controller = new AbortController();
+
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // disable proxy buffering (nginx) so tokens arrive as they are produced
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  // comment lines keep idle connections open through proxies and load balancers
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    if (!res.writableEnded) controller.abort();
+  });
+
+  return {
+    signal: controller.signal,
+    send(event, data) {
+      if (res.writableEnded || controller.signal.aborted) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      clearInterval(heartbeat);
+      if (!res.writableEnded) res.end();
+    },
+  };
+}
@@ -0,0 +1,30 @@
+// src/services/storage/index.js
+// Storage backend registry. STORAGE_BACKEND picks where file contents live:
+//   local (default) – the local disk (STORAGE_LOCAL_DIR)
+//   s3              – an S3-compatible bucket (AWS S3, MinIO, ...)
+// Every backend implements, with keys like 'blobs/ab/ab12…':
+//   put(key, localPath)                 – store a local file (moved: the source is removed)
+//   stat(key)                           – { size, modifiedAt } or null when missing
+//   createReadStream(key, { start, end }) – readable stream, optionally an inclusive byte range
+//   delete(key)                         – remove (missing keys are not an error)
+//   withLocalFile(key, fn)              – call fn(path) with the contents as a local file
+import { local } from './local.js';
+import { s3 } from './s3.js';
+
+const backends = { local, s3 };
+
+export function listStorageBackends() {
+  return Object.keys(backends);
+}
+
+let configured = null;
+
+export function getStorage() {
+  if (configured) return configured;
+  const name = String(process.env.STORAGE_BACKEND || 'local').toLowerCase();
+  if (!backends[name]) {
+    throw new Error(`Unknown STORAGE_BACKEND "${name}". Use one of: ${listStorageBackends().join(', ')}`);
+  }
+  configured = backends[name];
+  return configured;
+}
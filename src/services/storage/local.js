@@ -0,0 +1,52 @@
+// src/services/storage/local.js
+// Files on the local disk under STORAGE_LOCAL_DIR (default src/uploads).
+// Keys are paths relative to that directory; absolute keys (very old rows) are used as-is.
+import fs from 'fs';
+import path from 'path';
+
+const ROOT = path.resolve(process.env.STORAGE_LOCAL_DIR || 'src/uploads');
+
+function resolveKey(key) {
+  const absolutePath = path.isAbsolute(key) ? key : path.resolve(ROOT, key);
+  if (!path.isAbsolute(key) && !absolutePath.startsWith(ROOT + path.sep)) {
+    throw new Error(`Storage key escapes the storage directory: ${key}`);
+  }
+  return absolutePath;
+}
+
+export const local = {
+  name: 'local',
+
+  // Moves a local file into storage (the source is gone afterwards)
+  async put(key, sourcePath) {
+    const target = resolveKey(key);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    try {
+      await fs.promises.rename(sourcePath, target);
+    } catch (e) {
+      // different filesystem (e.g. quarantine on a separate mount)
+      if (e.code !== 'EXDEV') throw e;
+      await fs.promises.copyFile(sourcePath, target);
+      await fs.promises.rm(sourcePath, { force: true });
+    }
+  },
+
+  async stat(key) {
+    const stat = await fs.promises.stat(resolveKey(key)).catch(() => null);
+    return stat?.isFile() ? { size: stat.size, modifiedAt: stat.mtime } : null;
+  },
+
+  // Inclusive byte range, like HTTP Range
+  async createReadStream(key, { start, end } = {}) {
+    return fs.createReadStream(resolveKey(key), { start, end });
+  },
+
+  async delete(key) {
+    await fs.promises.rm(resolveKey(key), { force: true });
+  },
+
+  // The stored file is already local, so the callback reads it in place
+  async withLocalFile(key, fn) {
+    return fn(resolveKey(key));
+  },
+};
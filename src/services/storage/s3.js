@@ -0,0 +1,94 @@
+// src/services/storage/s3.js
+// S3-compatible object storage (AWS S3, MinIO, R2, ...). Configured with
+// S3_BUCKET plus optional S3_ENDPOINT / S3_REGION / S3_FORCE_PATH_STYLE /
+// S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY / S3_PREFIX. Extractors need a file
+// on disk, so withLocalFile() downloads the object to a temporary file.
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+
+const BUCKET = process.env.S3_BUCKET;
+const PREFIX = (process.env.S3_PREFIX || '').replace(/^\/+|\/+$/g, '');
+
+let clientPromise = null;
+
+// The SDK is only loaded when this backend is used
+function getClient() {
+  if (!BUCKET) throw new Error('S3_BUCKET is required when STORAGE_BACKEND=s3');
+  clientPromise ??= import('@aws-sdk/client-s3').then(sdk => {
+    const endpoint = process.env.S3_ENDPOINT || undefined;
+    const credentials = process.env.S3_ACCESS_KEY_ID
+      ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+      : undefined; // default AWS credential chain
+    const client = new sdk.S3Client({
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint,
+      // MinIO and most self-hosted stand-ins only support path-style URLs
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE ? process.env.S3_FORCE_PATH_STYLE === 'true' : Boolean(endpoint),
+      credentials,
+    });
+    return { sdk, client };
+  });
+  return clientPromise;
+}
+
+function objectKey(key) {
+  return PREFIX ? `${PREFIX}/${key}` : key;
+}
+
+function isNotFound(err) {
+  return err?.name === 'NotFound' || err?.name === 'NoSuchKey' || err?.$metadata?.httpStatusCode === 404;
+}
+
+export const s3 = {
+  name: 's3',
+
+  // Uploads a local file, then removes it
+  async put(key, sourcePath) {
+    const { sdk, client } = await getClient();
+    const { size } = await fs.promises.stat(sourcePath);
+    await client.send(new sdk.PutObjectCommand({
+      Bucket: BUCKET,
+      Key: objectKey(key),
+      Body: fs.createReadStream(sourcePath),
+      ContentLength: size,
+    }));
+    await fs.promises.rm(sourcePath, { force: true });
+  },
+
+  async stat(key) {
+    const { sdk, client } = await getClient();
+    try {
+      const head = await client.send(new sdk.HeadObjectCommand({ Bucket: BUCKET, Key: objectKey(key) }));
+      return { size: head.ContentLength, modifiedAt: head.LastModified };
+    } catch (err) {
+      if (isNotFound(err)) return null;
+      throw err;
+    }
+  },
+
+  // Inclusive byte range, like HTTP Range
+  async createReadStream(key, { start, end } = {}) {
+    const { sdk, client } = await getClient();
+    const range = start !== undefined ? `bytes=${start}-${end ?? ''}` : undefined;
+    const object = await client.send(new sdk.GetObjectCommand({ Bucket: BUCKET, Key: objectKey(key), Range: range }));
+    return object.Body;
+  },
+
+  async delete(key) {
+    const { sdk, client } = await getClient();
+    await client.send(new sdk.DeleteObjectCommand({ Bucket: BUCKET, Key: objectKey(key) }));
+  },
+
+  async withLocalFile(key, fn) {
+    const tmpDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'docai-s3-'));
+    try {
+      const localPath = path.join(tmpDir, path.basename(key));
+      await pipeline(await s3.createReadStream(key), fs.createWriteStream(localPath));
+      return await fn(localPath);
+    } finally {
+      await fs.promises.rm(tmpDir, { recursive: true, force: true });
+    }
+  },
+};
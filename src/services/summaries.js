@@ -0,0 +1,131 @@
+// src/services/summaries.js
+// Document summaries in three styles, cached per document version so the
+// model only runs again after the file changes (or on explicit refresh).
+// Long documents are summarized section by section, then the partial
+// summaries are combined (map-reduce).
+import { prisma } from '../prismaClient.js';
+import { getOrIndexDocumentText } from './documentText.js';
+import { generate } from './llm/index.js';
+import { UNEXTRACTABLE_ERROR } from './qa.js';
+
+export const SUMMARY_STYLES = {
+  short: 'a concise summary of 3 to 5 sentences',
+  long: 'a detailed summary of 3 to 6 paragraphs that follows the structure of the document',
+  bullets: 'a list of 5 to 10 key points, one per line, each starting with "- "',
+};
+
+const SECTION_CHARS = Number(process.env.SUMMARY_SECTION_CHARS) || Number(process.env.MAX_CONTEXT_CHARS) || 12000;
+const MAX_SECTIONS = Number(process.env.SUMMARY_MAX_SECTIONS) || 6;
+
+// Splits text into at most MAX_SECTIONS pieces, preferring paragraph boundaries
+function splitSections(text) {
+  const size = Math.max(SECTION_CHARS, Math.ceil(text.length / MAX_SECTIONS));
+  const sections = [];
+  let start = 0;
+  while (start < text.length) {
+    let end = Math.min(text.length, start + size);
+    if (end < text.length) {
+      const paragraph = text.lastIndexOf('\n\n', end);
+      if (paragraph > start + size / 2) end = paragraph;
+    }
+    sections.push(text.slice(start, end).trim());
+    start = end;
+  }
+  return sections.filter(Boolean);
+}
+
+function addUsage(total, usage) {
+  return {
+    promptTokens: (total.promptTokens || 0) + (usage?.promptTokens || 0),
+    completionTokens: (total.completionTokens || 0) + (usage?.completionTokens || 0),
+  };
+}
+
+async function summarizeText(document, text, style, options) {
+  const instruction = SUMMARY_STYLES[style];
+  const sections = splitSections(text);
+  let usage = {};
+
+  let source = text;
+  if (sections.length > 1) {
+    const partials = [];
+    for (const [i, section] of sections.entries()) {
+      const result = await generate(
+        `Summarize part ${i + 1} of ${sections.length} of the document "${document.title}". ` +
+          'Keep names, dates, amounts and obligations. Answer with the summary only.\n\n' +
+          section,
+        options
+      );
+      usage = addUsage(usage, result.usage);
+      partials.push(`Part ${i + 1}:\n${result.text.trim()}`);
+    }
+    source = partials.join('\n\n');
+  }
+
+  const result = await generate(
+    `Write ${instruction} of the document "${document.title}". ` +
+      'Use only the information below and answer with the summary only.\n\n' +
+      source,
+    options
+  );
+  return {
+    content: result.text.trim(),
+    provider: result.provider,
+    model: result.model,
+    usage: addUsage(usage, result.usage),
+    sections: sections.length,
+  };
+}
+
+/**
+ * Returns the cached summary for the current version or generates it.
+ * Resolves { summary, style, version, cached, provider, model, usage, createdAt }
+ * or { status, error } for an unknown style or a document without text. Model failures throw LlmError.
+ * With cacheOnly a miss resolves null instead of calling the model.
+ */
+export async function getSummary(document, style, { refresh = false, cacheOnly = false, provider, model } = {}) {
+  if (!Object.hasOwn(SUMMARY_STYLES, style)) return { status: 400, error: 'Unknown summary style' };
+  const version = document.currentVersion;
+  const key = { documentId_version_style: { documentId: document.id, version, style } };
+
+  if (!refresh) {
+    const cached = await prisma.documentSummary.findUnique({ where: key });
+    if (cached) {
+      return {
+        summary: cached.content,
+        style,
+        version,
+        cached: true,
+        provider: cached.provider,
+        model: cached.model,
+        createdAt: cached.createdAt,
+      };
+    }
+  }
+  if (cacheOnly) return null;
+
+  const stored = await getOrIndexDocumentText(document);
+  if (stored.status !== 'ready' || !stored.content || !stored.content.trim()) {
+    return { status: stored.status === 'processing' ? 409 : 422, error: stored.error || UNEXTRACTABLE_ERROR };
+  }
+
+  const generated = await summarizeText(document, stored.content, style, { provider, model });
+  const data = { content: generated.content, provider: generated.provider, model: generated.model, createdAt: new Date() };
+  const saved = await prisma.documentSummary.upsert({
+    where: key,
+    create: { documentId: document.id, version, style, ...data },
+    update: data,
+  });
+
+  return {
+    summary: saved.content,
+    style,
+    version,
+    cached: false,
+    provider: saved.provider,
+    model: saved.model,
+    usage: generated.usage,
+    sections: generated.sections,
+    createdAt: saved.createdAt,
+  };
+}
@@ -0,0 +1,67 @@
+// src/services/tags.js
+// Personal tags: each user has their own tag names and can attach them to any
+// document they can view. Tags are created on first use.
+import { prisma } from '../prismaClient.js';
+
+export const MAX_TAG_LENGTH = 40;
+export const MAX_TAGS_PER_REQUEST = 20;
+
+// Names are trimmed, whitespace-collapsed and lower-cased so "Tax 2024" and "tax  2024" are one tag
+export function normalizeTagName(name) {
+  return String(name).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Validates a tags body field (array of names).
+ * Returns { names } (deduplicated, normalized) or { error }.
+ */
+export function parseTagNames(value, field = 'tags') {
+  if (!Array.isArray(value)) return { error: `${field} must be an array of tag names` };
+  if (value.length > MAX_TAGS_PER_REQUEST) return { error: `${field} can hold at most ${MAX_TAGS_PER_REQUEST} tags` };
+  const names = [];
+  for (const raw of value) {
+    if (typeof raw !== 'string' || !raw.trim()) return { error: `${field} must only contain non-empty strings` };
+    const name = normalizeTagName(raw);
+    if (name.length > MAX_TAG_LENGTH) return { error: `Tag names must be at most ${MAX_TAG_LENGTH} characters` };
+    if (!names.includes(name)) names.push(name);
+  }
+  return { names };
+}
+
+export function checkTagColor(color) {
+  if (color === undefined || color === null) return null;
+  return typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color) ? null : 'color must be a hex color like #1a2b3c';
+}
+
+// Returns the user's tags with these names, creating the missing ones
+export async function ensureTags(userId, names) {
+  if (!names.length) return [];
+  const existing = await prisma.tag.findMany({ where: { userId, name: { in: names } } });
+  const missing = names.filter(name => !existing.some(t => t.name === name));
+  const created = [];
+  for (const name of missing) {
+    created.push(await prisma.tag.upsert({
+      where: { userId_name: { userId, name } },
+      create: { userId, name },
+      update: {},
+    }));
+  }
+  return [...existing, ...created];
+}
+
+// Prisma include that loads only the caller's tags for each document
+export function documentTagsInclude(userId) {
+  return {
+    tags: {
+      where: { tag: { userId } },
+      include: { tag: { select: { id: true, name: true, color: true } } },
+      orderBy: { addedAt: 'asc' },
+    },
+  };
+}
+
+// Flattens the DocumentTag join rows loaded with documentTagsInclude
+export function withTagList(doc) {
+  if (!doc.tags) return doc;
+  return { ...doc, tags: doc.tags.map(dt => dt.tag) };
+}
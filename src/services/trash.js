@@ -0,0 +1,105 @@
+// src/services/trash.js
+// Deleting a document only sets Document.deletedAt: it disappears from lists,
+// search and every document route but keeps its files until the owner restores
+// it, removes it for good, or it has been in the trash for TRASH_RETENTION_DAYS
+// (the 'trash.purge' job in documentJobs.js).
+import { prisma } from '../prismaClient.js';
+import { listVersionFiles } from './versions.js';
+import { releaseBlobs } from './blobs.js';
+
+// 0 keeps trashed documents until they are removed by hand
+export const TRASH_RETENTION_DAYS =
+  process.env.TRASH_RETENTION_DAYS !== undefined ? Number(process.env.TRASH_RETENTION_DAYS) || 0 : 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PURGE_BATCH = 200;
+
+// When the purge job will remove a trashed document (null when retention is off)
+export function trashExpiresAt(document) {
+  if (!document.deletedAt || !TRASH_RETENTION_DAYS) return null;
+  return new Date(new Date(document.deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+}
+
+/**
+ * Deletes documents for good: rows (with their Q&A threads) first, then the
+ * references to their files; a blob shared with another document stays.
+ * Resolves { documents, files } with the counts removed.
+ */
+export async function purgeDocuments(documents) {
+  if (!documents.length) return { documents: 0, files: 0 };
+  const ids = documents.map(d => d.id);
+  const files = await listVersionFiles(ids);
+
+  await prisma.$transaction([
+    prisma.conversation.deleteMany({ where: { documentId: { in: ids } } }),
+    prisma.document.deleteMany({ where: { id: { in: ids } } }),
+  ]);
+  // Files go last so a failed transaction never leaves rows pointing at missing files
+  return { documents: ids.length, files: await releaseBlobs(files) };
+}
+
+// Removes documents whose retention period is over, in batches
+export async function purgeExpiredTrash(now = new Date()) {
+  const total = { documents: 0, files: 0 };
+  if (!TRASH_RETENTION_DAYS) return total;
+
+  const cutoff = new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY_MS);
+  for (;;) {
+    const documents = await prisma.document.findMany({
+      where: { deletedAt: { lte: cutoff } },
+      orderBy: { deletedAt: 'asc' },
+      take: PURGE_BATCH,
+    });
+    const removed = await purgeDocuments(documents);
+    total.documents += removed.documents;
+    total.files += removed.files;
+    if (documents.length < PURGE_BATCH) return total;
+  }
+}
+
+/**
+ * Disk space used by the user's documents, split into active and trashed.
+ * A blob shared by several versions or documents (restores, duplicates,
+ * identical uploads) counts once;
+ * `current` is the latest file of each document, `history` the older versions.
+ */
+export async function getStorageUsage(userId) {
+  const versions = await prisma.documentVersion.findMany({
+    where: { document: { userId } },
+    select: {
+      documentId: true,
+      version: true,
+      filePath: true,
+      size: true,
+      document: { select: { currentVersion: true, deletedAt: true } },
+    },
+    orderBy: [{ documentId: 'asc' }, { version: 'desc' }],
+  });
+
+  const usage = {
+    active: { documents: new Set(), files: 0, bytes: 0, currentBytes: 0, historyBytes: 0 },
+    trash: { documents: new Set(), files: 0, bytes: 0 },
+  };
+  const seen = new Set();
+  for (const v of versions) {
+    const bucket = v.document.deletedAt ? usage.trash : usage.active;
+    bucket.documents.add(v.documentId);
+    if (seen.has(v.filePath)) continue;
+    seen.add(v.filePath);
+
+    const size = v.size || 0;
+    bucket.files++;
+    bucket.bytes += size;
+    if (bucket === usage.active) {
+      if (v.version === v.document.currentVersion) bucket.currentBytes += size;
+      else bucket.historyBytes += size;
+    }
+  }
+
+  return {
+    active: { ...usage.active, documents: usage.active.documents.size },
+    trash: { ...usage.trash, documents: usage.trash.documents.size },
+    totalBytes: usage.active.bytes + usage.trash.bytes,
+    retentionDays: TRASH_RETENTION_DAYS,
+  };
+}
@@ -0,0 +1,136 @@
+// src/services/uploads.js
+// Upload pipeline: multer writes into the quarantine directory, then every file
+// is validated (size, magic-byte format, PDF integrity), hashed and scanned.
+// Only files that pass are moved into storage as a blob and may be attached
+// to a Document; failures are deleted, or kept in quarantine when a scan flags them.
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { detectFormat, listSupportedFormats } from './extractText.js';
+import { scanFile } from './scanner.js';
+import { storeBlob } from './blobs.js';
+
+export const UPLOAD_DIR = 'src/uploads';
+export const QUARANTINE_DIR = path.join(UPLOAD_DIR, 'quarantine');
+export const MAX_UPLOAD_BYTES = Number(process.env.MAX_UPLOAD_BYTES) || 25 * 1024 * 1024;
+// Files per bulk upload request (a ZIP counts as one; see services/archives.js for its entries)
+export const BULK_UPLOAD_MAX_FILES = Number(process.env.BULK_UPLOAD_MAX_FILES) || 20;
+
+// Extensions accepted by the multer fileFilter (magic bytes are still checked afterwards)
+export const ALLOWED_EXTENSIONS = new Set([
+  '.pdf', '.docx', '.xlsx', '.pptx', '.odt', '.rtf', '.html', '.htm', '.xhtml', '.eml',
+  '.csv', '.tsv', '.md', '.markdown', '.txt', '.png', '.jpg', '.jpeg', '.tif', '.tiff',
+]);
+
+fs.mkdirSync(QUARANTINE_DIR, { recursive: true });
+
+// Keeps a display-safe version of the client's filename (no paths, control chars or reserved chars)
+export function sanitizeFilename(name) {
+  const base = path.basename(String(name || '').replace(/\\/g, '/'))
+    .normalize('NFC')
+    .replace(/[\u0000-\u001f\u007f<>:"/\\|?*]+/g, '_')
+    .replace(/^\.+/, '')
+    .trim();
+  if (!base) return 'file';
+  if (base.length <= 255) return base;
+  const ext = path.extname(base).slice(0, 16);
+  return base.slice(0, 255 - ext.length) + ext;
+}
+
+export function sha256File(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+// Rejects encrypted or unreadable PDFs before they reach the extractors
+async function checkPdf(filePath) {
+  const buffer = await fs.promises.readFile(filePath);
+  const tail = buffer.subarray(Math.max(0, buffer.length - 2048)).toString('latin1');
+  if (!tail.includes('%%EOF')) {
+    return 'PDF appears to be truncated or corrupt';
+  }
+  try {
+    const { default: pdfParse } = await import('pdf-parse/lib/pdf-parse.js');
+    await pdfParse(buffer, { max: 1 });
+  } catch (e) {
+    if (e?.name === 'PasswordException' || /password/i.test(String(e?.message))) {
+      return 'Encrypted (password-protected) PDFs are not supported';
+    }
+    return 'PDF could not be opened – the file appears to be corrupt';
+  }
+  if (buffer.includes('/Encrypt')) {
+    return 'Encrypted PDFs are not supported';
+  }
+  return null;
+}
+
+function removeQuietly(filePath) {
+  try {
+    if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+  } catch (e) {
+    console.warn('uploads: failed to remove file', filePath, e);
+  }
+}
+
+// Drops an upload that will not be used (e.g. the request failed an ownership check)
+export function discardUpload(file) {
+  if (file?.path) removeQuietly(file.path);
+}
+
+// Keeps a flagged file in quarantine with a JSON sidecar describing why
+function quarantine(file, details) {
+  const name = `${Date.now()}_${details.sha256}.quarantined`;
+  const target = path.join(QUARANTINE_DIR, name);
+  fs.renameSync(file.path, target);
+  fs.writeFileSync(`${target}.json`, JSON.stringify({ ...details, quarantinedAt: new Date().toISOString() }, null, 2));
+  console.warn(`[uploads] quarantined ${details.originalName} (${details.threat}) as ${name}`);
+}
+
+/**
+ * Validates, hashes and scans a multer file sitting in the quarantine directory.
+ * Resolves { ok: true, filePath, originalName, sha256, size, format } after moving the
+ * file into storage, or { ok: false, status, body } with the file removed/quarantined.
+ */
+export async function processUpload(file, { userId } = {}) {
+  const originalName = sanitizeFilename(file.originalname);
+  const fail = (status, body) => {
+    removeQuietly(file.path);
+    return { ok: false, status, body };
+  };
+
+  const { size } = fs.statSync(file.path);
+  if (size === 0) return fail(422, { error: 'Uploaded file is empty' });
+  if (size > MAX_UPLOAD_BYTES) return fail(413, { error: 'File is too large', maxBytes: MAX_UPLOAD_BYTES });
+
+  const format = await detectFormat(file.path, { name: originalName });
+  if (!format) {
+    return fail(415, { error: 'Unsupported file format', supportedFormats: await listSupportedFormats() });
+  }
+  if (format.type === 'pdf') {
+    const problem = await checkPdf(file.path);
+    if (problem) return fail(422, { error: problem });
+  }
+
+  const sha256 = await sha256File(file.path);
+
+  let scan;
+  try {
+    scan = await scanFile(file.path, { sha256 });
+  } catch (e) {
+    console.error('processUpload: scanner failed', e);
+    return fail(503, { error: 'File could not be scanned. Please try again later.' });
+  }
+  if (!scan.clean) {
+    quarantine(file, { originalName, sha256, size, userId, threat: scan.threat, scanner: scan.scanner });
+    return { ok: false, status: 422, body: { error: 'File failed the malware scan', threat: scan.threat } };
+  }
+
+  // Identical content is stored once; filePath is the blob's storage key
+  const filePath = await storeBlob(file.path, { sha256, size, format: format.type });
+  return { ok: true, filePath, originalName, sha256, size, format };
+}
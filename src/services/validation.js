@@ -0,0 +1,57 @@
+// src/services/validation.js
+// Field validators for account input. Each returns an error message or null;
+// validateFields() collects them into { fieldName: message } for a 400 response:
+//   { error: 'Validation failed', fields: { password: 'Password must be ...' } }
+
+export const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,32}$/;
+export const MIN_PASSWORD_LENGTH = 8;
+export const MAX_PASSWORD_LENGTH = 128; // bcrypt only uses the first 72 bytes anyway
+
+export function validateUsername(value) {
+  if (value === undefined || value === null || value === '') return 'Username is required';
+  if (typeof value !== 'string') return 'Username must be a string';
+  if (!USERNAME_PATTERN.test(value)) {
+    return 'Username must be 3-32 characters: letters, digits, dot, dash or underscore';
+  }
+  return null;
+}
+
+export function validateEmail(value, { required = false } = {}) {
+  if (value === undefined || value === null || value === '') return required ? 'Email is required' : null;
+  if (typeof value !== 'string') return 'Email must be a string';
+  if (value.length > 254 || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) return 'Email is not valid';
+  return null;
+}
+
+export function validatePassword(value, { field = 'Password' } = {}) {
+  if (value === undefined || value === null || value === '') return `${field} is required`;
+  if (typeof value !== 'string') return `${field} must be a string`;
+  if (value.length < MIN_PASSWORD_LENGTH) return `${field} must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  if (value.length > MAX_PASSWORD_LENGTH) return `${field} must be at most ${MAX_PASSWORD_LENGTH} characters`;
+  if (!/[a-zA-Z]/.test(value) || !/[0-9]/.test(value)) return `${field} must contain a letter and a digit`;
+  return null;
+}
+
+// Runs { field: () => message|null } checks; returns null when everything passed
+export function validateFields(checks) {
+  const fields = {};
+  for (const [name, check] of Object.entries(checks)) {
+    const message = check();
+    if (message) fields[name] = message;
+  }
+  return Object.keys(fields).length ? fields : null;
+}
+
+export function validationError(res, fields) {
+  return res.status(400).json({ error: 'Validation failed', fields });
+}
+
+// Maps a Prisma unique-constraint error (P2002) on User to field errors
+export function uniqueFieldErrors(err) {
+  if (err?.code !== 'P2002') return null;
+  const target = [].concat(err.meta?.target || []);
+  const fields = {};
+  if (target.some(t => String(t).includes('username'))) fields.username = 'Username already exists';
+  if (target.some(t => String(t).includes('email'))) fields.email = 'Email already exists';
+  return Object.keys(fields).length ? fields : null;
+}
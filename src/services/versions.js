@@ -0,0 +1,49 @@
+// src/services/versions.js
+// File history per document. Every upload, replacement and restore appends a
+// DocumentVersion row pointing at a stored blob (services/blobs.js); old files
+// stay in storage until the document is deleted.
+import { prisma } from '../prismaClient.js';
+
+// Appends the next version for a document, marks it as current and counts the
+// new reference to its blob
+export async function recordVersion(documentId, { filePath, originalName, sha256, size, uploadedById, text, restoredFrom }) {
+  return prisma.$transaction(async tx => {
+    const blob = await tx.blob.upsert({
+      where: { key: filePath },
+      create: { key: filePath, sha256: sha256 ?? null, size: size ?? null, refCount: 1 },
+      update: { refCount: { increment: 1 } },
+    });
+    const last = await tx.documentVersion.findFirst({
+      where: { documentId },
+      orderBy: { version: 'desc' },
+      select: { version: true },
+    });
+    const version = await tx.documentVersion.create({
+      data: {
+        documentId,
+        version: (last?.version ?? 0) + 1,
+        filePath,
+        originalName: originalName ?? null,
+        sha256: sha256 ?? null,
+        size: size ?? blob.size,
+        uploadedById: uploadedById ?? null,
+        restoredFrom: restoredFrom ?? null,
+        text: text ?? null,
+      },
+    });
+    await tx.document.update({
+      where: { id: documentId },
+      data: { currentVersion: version.version, size: version.size },
+    });
+    return version;
+  });
+}
+
+// Blob key of every version of the documents, once per version row, for releaseBlobs()
+export async function listVersionFiles(documentIds) {
+  const versions = await prisma.documentVersion.findMany({
+    where: { documentId: { in: documentIds } },
+    select: { filePath: true },
+  });
+  return versions.map(v => v.filePath);
+}
@@ -0,0 +1,19 @@
+// Standalone job worker: `npm run worker` (run as many as the machine allows).
+// The API process runs its own worker too unless JOB_WORKER=external.
+import 'dotenv/config';
+import { scheduleTrashPurge } from './services/documentJobs.js';
+import { startWorker } from './services/jobs.js';
+import { prisma } from './prismaClient.js';
+
+const worker = startWorker();
+scheduleTrashPurge().catch(err => console.error('[worker] failed to schedule trash purge:', err));
+
+// Let the current job finish before exiting
+async function shutdown(signal) {
+  console.log(`[worker] ${signal} received, finishing current job…`);
+  await worker.stop();
+  await prisma.$disconnect();
+  process.exit(0);
+}
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));